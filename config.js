@@ -0,0 +1,300 @@
+// Configuration
+// Every operational setting the server reads, in one schema: its environment
+// variable, type, default and limits. Values are layered defaults < config
+// file < environment, so a deployment can keep a JSON file (CONFIG_FILE) and
+// still override single values with env vars. Everything is validated once at
+// startup and every problem is reported together, instead of a bad value
+// turning into NaN somewhere deep inside a request.
+//
+// The config file mirrors the sections below, e.g.
+//   { "cache": { "ttlSeconds": 600 }, "models": { "chat": "gpt-4o-mini" } }
+//
+// LOG_LEVEL and LOG_FORMAT stay with logger.js, which is loaded before this.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REDACTED = '[REDACTED]';
+
+// Voices for the TTS fallback chain. A step without a provider is Puter's own
+// default voice; a step without a voice keeps the one the request asked for.
+const RACHEL_VOICE = '21m00Tcm4TlvDq8ikWAM';
+const DEFAULT_TTS_FALLBACKS = [
+    { provider: 'elevenlabs', model: 'eleven_multilingual_v2' },
+    { provider: 'elevenlabs', model: 'eleven_flash_v2_5' },
+    { provider: 'elevenlabs', voice: RACHEL_VOICE, model: 'eleven_multilingual_v2' },
+    { provider: null }
+];
+
+// type: integer | number | boolean | string | list | json
+// env: variable name, or names in order of preference
+// secret: shown as [REDACTED] by redactConfig()
+// check(value): extra validation, returns a problem description or nothing
+const SCHEMA = {
+    server: {
+        port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+        publicUrl: { env: 'RENDER_EXTERNAL_URL', type: 'string', default: null, pattern: /^https?:\/\//, hint: 'an http(s) URL' },
+        bodyLimit: { env: 'BODY_LIMIT', type: 'string', default: '50mb', pattern: /^\d+(?:b|kb|mb|gb)?$/i, hint: 'a size such as 50mb' },
+        corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: [] },
+        keepAliveIntervalMs: { env: 'KEEP_ALIVE_INTERVAL_MS', type: 'integer', default: 90 * 1000, min: 1000 },
+        shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 25000, min: 0 },
+        metricsPublic: { env: 'METRICS_PUBLIC', type: 'boolean', default: false }
+    },
+    auth: {
+        adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', default: null, secret: true },
+        disabled: { env: 'AUTH_DISABLED', type: 'boolean', default: false },
+        tokenEncryptionKeys: { env: ['TOKEN_ENCRYPTION_KEYS', 'TOKEN_ENCRYPTION_KEY'], type: 'string', default: null, secret: true, check: checkTokenKeys }
+    },
+    limits: {
+        rpm: { env: 'RATE_LIMIT_RPM', type: 'integer', default: 60, min: 1 },
+        concurrent: { env: 'RATE_LIMIT_CONCURRENT', type: 'integer', default: 4, min: 1 },
+        quotas: { env: 'DEFAULT_QUOTAS', type: 'json', default: {}, check: checkQuotas }
+    },
+    store: {
+        path: { env: 'STORE_PATH', type: 'string', default: './chat_store.db' },
+        legacyJsonPath: { env: 'LEGACY_STORE_PATH', type: 'string', default: './chat_store.json' }
+    },
+    provider: {
+        name: { env: 'AI_PROVIDER', type: 'string', default: 'browser', values: ['browser', 'mock'] },
+        mockScript: { env: 'MOCK_SCRIPT', type: 'string', default: null },
+        mockLatencyMs: { env: 'MOCK_LATENCY_MS', type: 'integer', default: 0, min: 0 },
+        mockChunkDelayMs: { env: 'MOCK_CHUNK_DELAY_MS', type: 'integer', default: 0, min: 0 }
+    },
+    browser: {
+        executablePath: { env: 'PUPPETEER_EXECUTABLE_PATH', type: 'string', default: null },
+        launchAttempts: { env: 'BROWSER_LAUNCH_ATTEMPTS', type: 'integer', default: 3, min: 1 },
+        launchTimeoutMs: { env: 'BROWSER_LAUNCH_TIMEOUT_MS', type: 'integer', default: 60000, min: 1000 },
+        navigationTimeoutMs: { env: 'NAVIGATION_TIMEOUT_MS', type: 'integer', default: 45000, min: 1000 },
+        defaultTimeoutMs: { env: 'PAGE_TIMEOUT_MS', type: 'integer', default: 30000, min: 1000 },
+        tabsPerSession: { env: 'TABS_PER_SESSION', type: 'integer', default: 2, min: 1 },
+        tabMaxHeapMb: { env: 'TAB_MAX_HEAP_MB', type: 'number', default: 150, min: 1 },
+        tabMaxLeases: { env: 'TAB_MAX_LEASES', type: 'integer', default: 200, min: 1 },
+        maxRetries: { env: 'MAX_RETRIES', type: 'integer', default: 2, min: 0 }
+    },
+    queue: {
+        concurrency: { env: 'QUEUE_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+        maxDepth: { env: 'QUEUE_MAX_DEPTH', type: 'integer', default: 50, min: 0 },
+        priorities: { env: 'QUEUE_PRIORITIES', type: 'json', default: {}, check: checkNumberMap },
+        retryAfterSeconds: { env: 'QUEUE_RETRY_AFTER', type: 'integer', default: 5, min: 0 }
+    },
+    cache: {
+        ttlSeconds: { env: 'CACHE_TTL', type: 'number', default: 5 * 60, min: 0 },
+        ttls: { env: 'CACHE_TTLS', type: 'json', default: {}, check: checkNumberMap },
+        maxMb: { env: 'CACHE_MAX_MB', type: 'number', default: 50, min: 0 }
+    },
+    models: {
+        chat: { env: 'DEFAULT_CHAT_MODEL', type: 'string', default: 'gemini-2.0-flash' },
+        image: { env: 'DEFAULT_IMAGE_MODEL', type: 'string', default: 'gemini-2.5-flash-image-preview' },
+        video: { env: 'DEFAULT_VIDEO_MODEL', type: 'string', default: 'sora-2' },
+        search: { env: 'DEFAULT_SEARCH_MODEL', type: 'string', default: 'sonar-reasoning-pro' }
+    },
+    video: {
+        timeoutMs: { env: 'VIDEO_TIMEOUT_MS', type: 'integer', default: 3 * 60 * 1000, min: 1000 }
+    },
+    tts: {
+        fallbacks: { env: 'TTS_FALLBACKS', type: 'json', default: DEFAULT_TTS_FALLBACKS, check: checkTtsFallbacks }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkNumberMap(value) {
+    if (!isPlainObject(value)) return 'must be a JSON object';
+    const bad = Object.entries(value).find(([, v]) => typeof v !== 'number' || !Number.isFinite(v) || v < 0);
+    if (bad) return `"${bad[0]}" must be a number of at least 0`;
+}
+
+function checkQuotas(value) {
+    if (!isPlainObject(value)) return 'must be a JSON object';
+    for (const [family, quota] of Object.entries(value)) {
+        if (!isPlainObject(quota)) return `"${family}" must be an object like { "daily": 100, "monthly": 2000 }`;
+        for (const [period, limit] of Object.entries(quota)) {
+            if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) return `"${family}.${period}" must be a whole number or null`;
+        }
+    }
+}
+
+// Parses TOKEN_ENCRYPTION_KEYS: "id:base64key,id2:base64key", current key first.
+// A single bare base64 key also works; its id is derived from its hash.
+// Keys must be 32 random bytes (e.g. `openssl rand -base64 32`).
+function parseTokenKeys(spec) {
+    if (!spec) return [];
+    return spec.split(',').map(s => s.trim()).filter(Boolean).map((entry) => {
+        const sep = entry.indexOf(':');
+        const key = Buffer.from(sep === -1 ? entry : entry.slice(sep + 1), 'base64');
+        const id = sep === -1 ? crypto.createHash('sha256').update(key).digest('hex').slice(0, 8) : entry.slice(0, sep);
+        if (!/^[\w.-]+$/.test(id)) throw new Error(`Invalid token key id "${id}" (letters, digits, _ . - only)`);
+        if (key.length !== 32) throw new Error(`Token encryption key "${id}" must be 32 bytes, base64-encoded`);
+        return { id, key };
+    });
+}
+
+// A malformed key is reported with the rest of the configuration, not at store startup
+function checkTokenKeys(value) {
+    try {
+        parseTokenKeys(value);
+    } catch (e) {
+        return `has a bad key: ${e.message}`;
+    }
+}
+
+function checkTtsFallbacks(value) {
+    if (!Array.isArray(value) || !value.length) return 'must be a non-empty JSON array';
+    for (const [i, step] of value.entries()) {
+        if (!isPlainObject(step)) return `step ${i + 1} must be an object`;
+        for (const field of ['provider', 'voice', 'model']) {
+            if (step[field] !== undefined && step[field] !== null && typeof step[field] !== 'string') {
+                return `step ${i + 1}: "${field}" must be a string or null`;
+            }
+        }
+    }
+}
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+// Turns a raw value (a string from the environment, anything from the file)
+// into the spec's type. Returns { value } or { problem }.
+function coerce(spec, raw, fromEnv) {
+    // null in the file clears settings that are optional anyway
+    if (raw === null && !fromEnv && spec.default === null) return { value: null };
+
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            const valid = spec.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value);
+            if (!valid) return { problem: `must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}` };
+            if (spec.min !== undefined && value < spec.min) return { problem: `must be at least ${spec.min}` };
+            if (spec.max !== undefined && value > spec.max) return { problem: `must be at most ${spec.max}` };
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const value = BOOLEANS[String(raw).trim().toLowerCase()];
+            return value === undefined ? { problem: 'must be true or false' } : { value };
+        }
+        case 'string': {
+            if (typeof raw !== 'string') return { problem: 'must be a string' };
+            if (spec.values && !spec.values.includes(raw)) return { problem: `must be one of ${spec.values.map(v => `"${v}"`).join(', ')}` };
+            if (spec.pattern && !spec.pattern.test(raw)) return { problem: `must be ${spec.hint}` };
+            const problem = spec.check?.(raw);
+            return problem ? { problem } : { value: raw };
+        }
+        case 'list': {
+            const items = typeof raw === 'string' ? raw.split(',') : raw;
+            if (!Array.isArray(items) || items.some(i => typeof i !== 'string')) return { problem: 'must be a comma-separated list' };
+            return { value: items.map(i => i.trim()).filter(Boolean) };
+        }
+        case 'json': {
+            let value = raw;
+            if (fromEnv) {
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    return { problem: `is not valid JSON (${e.message})` };
+                }
+            }
+            const problem = spec.check?.(value);
+            return problem ? { problem } : { value };
+        }
+        default:
+            throw new Error(`Unknown config type "${spec.type}"`);
+    }
+}
+
+// What someone wrote, quoted for an error message (secrets left out)
+function describe(spec, raw) {
+    if (spec.secret) return '';
+    const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+    return ` (got ${JSON.stringify(text.length > 80 ? `${text.slice(0, 80)}…` : text)})`;
+}
+
+function readConfigFile(filePath, problems) {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (isPlainObject(data)) return data;
+        problems.push(`CONFIG_FILE ${filePath}: must contain a JSON object`);
+    } catch (e) {
+        problems.push(`CONFIG_FILE ${filePath}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`);
+    }
+    return {};
+}
+
+// Builds the effective configuration. Returns { config, sources, file }, where
+// sources maps "section.key" to where its value came from (default, file, or
+// the env var's name). Throws a ConfigError listing every invalid value.
+function loadConfig(env = process.env) {
+    const problems = [];
+    const filePath = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+    const file = filePath ? readConfigFile(filePath, problems) : {};
+
+    // Sections and keys the schema doesn't know are usually typos
+    for (const [section, values] of Object.entries(file)) {
+        if (!SCHEMA[section]) {
+            problems.push(`${section}: unknown config section (expected one of ${Object.keys(SCHEMA).join(', ')})`);
+        } else if (!isPlainObject(values)) {
+            problems.push(`${section}: must be an object`);
+        } else {
+            for (const key of Object.keys(values)) {
+                if (!SCHEMA[section][key]) problems.push(`${section}.${key}: unknown config key`);
+            }
+        }
+    }
+
+    const config = {};
+    const sources = {};
+    for (const [section, specs] of Object.entries(SCHEMA)) {
+        config[section] = {};
+        for (const [key, spec] of Object.entries(specs)) {
+            const name = `${section}.${key}`;
+            const envName = [].concat(spec.env).find(n => env[n] !== undefined && env[n] !== '');
+            const fileValues = isPlainObject(file[section]) ? file[section] : {};
+
+            let value = spec.default;
+            let source = 'default';
+            if (envName) {
+                const result = coerce(spec, env[envName], true);
+                if (result.problem) problems.push(`${envName}: ${result.problem}${describe(spec, env[envName])}`);
+                else value = result.value;
+                source = envName;
+            } else if (fileValues[key] !== undefined) {
+                const result = coerce(spec, fileValues[key], false);
+                if (result.problem) problems.push(`${name} in CONFIG_FILE: ${result.problem}${describe(spec, fileValues[key])}`);
+                else value = result.value;
+                source = 'file';
+            }
+            config[section][key] = value;
+            sources[name] = source;
+        }
+        Object.freeze(config[section]);
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+    return { config: Object.freeze(config), sources, file: filePath };
+}
+
+// The config with secrets masked (set ones as [REDACTED], unset ones as null)
+function redactConfig(config) {
+    const out = {};
+    for (const [section, specs] of Object.entries(SCHEMA)) {
+        out[section] = {};
+        for (const [key, spec] of Object.entries(specs)) {
+            const value = config[section][key];
+            out[section][key] = spec.secret && value !== null ? REDACTED : value;
+        }
+    }
+    return out;
+}
+
+module.exports = { loadConfig, redactConfig, parseTokenKeys, ConfigError, SCHEMA, DEFAULT_TTS_FALLBACKS };
@@ -0,0 +1,124 @@
+// Error Taxonomy
+// Every failure is reduced to one ApiError with a stable code before it
+// reaches a client or the retry logic, instead of grepping messages for words
+// like "limit". The code decides the HTTP status, whether the client may retry,
+// and whether the server should retry on a fresh browser session.
+//
+// Responses use one envelope: { error: { code, message, retryable } }
+
+const ERROR_CODES = {
+    invalid_request: { status: 400, retryable: false },
+    content_filtered: { status: 400, retryable: false },
+    unauthorized: { status: 401, retryable: false },
+    forbidden: { status: 403, retryable: false },
+    not_found: { status: 404, retryable: false },
+    conflict: { status: 409, retryable: false },
+    rate_limited: { status: 429, retryable: true },       // our own per-key limits
+    upstream_quota: { status: 429, retryable: true },     // Puter account out of credit or throttled
+    cancelled: { status: 499, retryable: false },         // the client went away
+    internal: { status: 500, retryable: false },
+    upstream_error: { status: 502, retryable: true },     // Puter or the model failed for another reason
+    session_unavailable: { status: 503, retryable: true },
+    queue_full: { status: 503, retryable: true },
+    shutting_down: { status: 503, retryable: true },   // draining before exit; another instance can take it
+    upstream_timeout: { status: 504, retryable: true }
+};
+
+// Codes worth another attempt on a fresh browser session
+const ROTATE_ON = new Set(['upstream_quota', 'session_unavailable', 'upstream_timeout']);
+
+class ApiError extends Error {
+    // details: extra fields for the response envelope (e.g. { needsLogin: true })
+    constructor(code, message, { details = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'internal';
+        this.details = details;
+        if (cause) this.cause = cause;
+    }
+
+    get status() {
+        return ERROR_CODES[this.code].status;
+    }
+
+    get retryable() {
+        return ERROR_CODES[this.code].retryable;
+    }
+
+    get rotates() {
+        return ROTATE_ON.has(this.code);
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, retryable: this.retryable, ...this.details };
+    }
+}
+
+// Error codes Puter and the model providers behind it send back
+const QUOTA_CODES = new Set(['insufficient_funds', 'usage-limited', 'usage_limited', 'rate_limit_exceeded', 'quota_exceeded', 'too_many_requests']);
+const FILTER_CODES = new Set(['content_filter', 'content_policy_violation', 'moderation', 'safety']);
+const QUOTA_MESSAGE = /insufficient[_ ]funds|usage[-_ ]limited|quota (?:exceeded|reached)|rate limit (?:exceeded|reached)|too many requests/i;
+const FILTER_MESSAGE = /content[_ ](?:policy|filter|management)|flagged by (?:our )?moderation|safety (?:system|filter)/i;
+
+// Puppeteer failures: the tab or browser is gone, or never got ready
+const SESSION_MESSAGE = /target closed|session closed|page crashed|execution context was destroyed|detached frame|navigation failed|net::err_|puter ai not ready|no browser tab free|no active session/i;
+const TIMEOUT_MESSAGE = /timed? ?out|timeout exceeded/i;
+
+// Text of an error reported by the page, without dumping the stack
+function upstreamMessage(error) {
+    if (typeof error === 'string') return error;
+    const message = error?.message || error?.error?.message || error?.string;
+    if (typeof message === 'string' && message !== '[object Object]') return message;
+    try {
+        const { stack, ...rest } = error;
+        return JSON.stringify(rest);
+    } catch (e) {
+        return 'Unknown upstream error';
+    }
+}
+
+// Maps an error from the page (a result's `error` field or a stream chunk's)
+// to an ApiError
+function classifyUpstream(error) {
+    const message = upstreamMessage(error);
+    const code = String(error?.code || error?.error?.code || error?.delegate || '').toLowerCase();
+    const status = Number(error?.status || error?.error?.status) || null;
+
+    if (QUOTA_CODES.has(code) || status === 402 || status === 429 || QUOTA_MESSAGE.test(message)) {
+        return new ApiError('upstream_quota', message);
+    }
+    if (FILTER_CODES.has(code) || FILTER_MESSAGE.test(message)) return new ApiError('content_filtered', message);
+    if (status === 401 || status === 403) return new ApiError('session_unavailable', message);
+    if (status === 400 || status === 404 || status === 413 || status === 422) return new ApiError('invalid_request', message);
+    if (status === 408 || status === 504 || TIMEOUT_MESSAGE.test(message)) return new ApiError('upstream_timeout', message);
+    if (SESSION_MESSAGE.test(message)) return new ApiError('session_unavailable', message);
+    return new ApiError('upstream_error', message);
+}
+
+// Tags an error thrown by a page call (the page helpers around a Puter request),
+// so classifyError reads it as Puter's failure rather than ours. Returns err.
+function markUpstream(err) {
+    if (err && typeof err === 'object' && !(err instanceof ApiError)) err.upstream = true;
+    return err;
+}
+
+// Maps anything thrown while serving a request to an ApiError
+function classifyError(err) {
+    if (err instanceof ApiError) return err;
+    if (err?.code === 'QUEUE_FULL') return new ApiError('queue_full', err.message);
+    if (err?.code === 'CANCELLED') return new ApiError('cancelled', err.message);
+    if (err?.code === 'TOKEN_KEY_MISSING') return new ApiError('session_unavailable', err.message);
+
+    const message = err?.message || String(err);
+    // Puppeteer's TimeoutError, or a protocol call that never came back
+    if (err?.name === 'TimeoutError' || (/protocol ?error/i.test(message) && TIMEOUT_MESSAGE.test(message))) {
+        return new ApiError('upstream_timeout', message, { cause: err });
+    }
+    if (SESSION_MESSAGE.test(message)) return new ApiError('session_unavailable', message, { cause: err });
+    // Thrown by the page helpers around a Puter failure (see markUpstream)
+    if (err?.upstream) return classifyUpstream(err);
+    // Anything else failed on our side (store, config, a bug), not at Puter
+    return new ApiError('internal', message, { cause: err });
+}
+
+module.exports = { ApiError, ERROR_CODES, classifyError, classifyUpstream, markUpstream };
@@ -0,0 +1,148 @@
+// Structured Logging
+// Every log line is one JSON object: time, level, component, msg, the id of the
+// HTTP request it happened under (if any), and whatever fields the caller adds.
+// LOG_LEVEL picks the threshold (debug, info, warn, error; default info) and
+// LOG_FORMAT=pretty prints "[Component] msg" lines for reading in a terminal.
+//
+// The request id lives in AsyncLocalStorage, so it follows the request through
+// the queue, safeExecute retries and session rotations without being passed
+// around. Work that runs outside the request's async chain (the scheduler
+// starting a queued call, a tab's console output) re-enters it explicitly.
+//
+// Secrets are redacted before anything is written: fields named like tokens,
+// passwords or keys, and token-shaped strings inside messages.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const THRESHOLD = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+const PRETTY = String(process.env.LOG_FORMAT || '').toLowerCase() === 'pretty';
+
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+// Field names (camelCase is compared as snake_case) whose values are never logged
+const SENSITIVE_KEY = /(?:^|_)(?:token|auth_token|access_token|refresh_token|secret|password|passwd|authorization|cookie|set_cookie|api_key|private_key|credentials?)$|^key$/;
+// Secrets that turn up inside free text: JWTs (Puter's tokens), bearer headers,
+// our own API keys, and "token: ..." / "password=..." pairs
+const SECRET_PATTERNS = [
+    [/\beyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]*/g, REDACTED],
+    [/\b(Bearer|Basic)\s+[\w.~+/=-]{8,}/gi, `$1 ${REDACTED}`],
+    [/\bpk_[\w-]{20,}/g, REDACTED],
+    [/\b(token|password|secret|api[_-]?key)(["']?\s*[:=]\s*["']?)(?!\[REDACTED\])[^\s"',;&]{6,}/gi, `$1$2${REDACTED}`]
+];
+const MAX_DEPTH = 5;
+const MAX_STRING = 2000;
+
+function redactString(text) {
+    let out = text.length > MAX_STRING ? `${text.slice(0, MAX_STRING)}… (${text.length} chars)` : text;
+    for (const [pattern, replacement] of SECRET_PATTERNS) out = out.replace(pattern, replacement);
+    return out;
+}
+
+function isSensitiveKey(key) {
+    return SENSITIVE_KEY.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase());
+}
+
+// Copy of value that is safe to serialize: secrets masked, errors flattened,
+// long strings cut short and deep or circular structures cut off
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return typeof value === 'bigint' ? String(value) : value;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+        const error = { name: value.name, message: redactString(value.message || '') };
+        if (value.code) error.code = value.code;
+        if (value.stack) error.stack = redactString(value.stack);
+        return error;
+    }
+    if (Array.isArray(value)) {
+        const out = value.map(v => redact(v, depth + 1, seen));
+        seen.delete(value);
+        return out;
+    }
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+        out[key] = isSensitiveKey(key) && v !== null && v !== undefined ? REDACTED : redact(v, depth + 1, seen);
+    }
+    seen.delete(value);
+    return out;
+}
+
+function write(level, component, msg, fields) {
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg: redactString(String(msg)),
+        ...(context?.requestId ? { requestId: context.requestId } : {}),
+        ...redact(fields || {})
+    };
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    if (!PRETTY) {
+        stream.write(`${JSON.stringify(entry)}\n`);
+        return;
+    }
+    const { time, level: _level, component: _component, msg: message, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${component}] ${message}${extra}\n`);
+}
+
+class Logger {
+    // bindings: fields added to every line (e.g. { session: 3 })
+    constructor(component, bindings = {}) {
+        this.component = component;
+        this.bindings = bindings;
+    }
+
+    child(bindings) {
+        return new Logger(this.component, { ...this.bindings, ...bindings });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= THRESHOLD;
+    }
+
+    log(level, msg, fields) {
+        if (!this.enabled(level)) return;
+        write(level, this.component, msg, { ...this.bindings, ...fields });
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+function createLogger(component, bindings) {
+    return new Logger(component, bindings);
+}
+
+// Runs fn with requestId as the current request, for everything it starts
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+function currentRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+// fn, bound to the request that is current now (for callbacks run later)
+function bindRequest(fn) {
+    const requestId = currentRequestId();
+    return requestId ? (...args) => runWithRequestId(requestId, () => fn(...args)) : fn;
+}
+
+// Runs fn outside any request, for long-lived work started on a request's
+// behalf (a new browser session) whose later output isn't part of it
+function detachRequest(fn) {
+    return requestContext.exit(fn);
+}
+
+module.exports = { createLogger, runWithRequestId, currentRequestId, bindRequest, detachRequest, redact, LEVELS };
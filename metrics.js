@@ -0,0 +1,180 @@
+// Prometheus Metrics
+// A small registry that renders the Prometheus text exposition format: counters,
+// gauges and histograms, each with a fixed set of label names. Values that are
+// already tracked elsewhere (cache counters, queue depth, memory) are read at
+// scrape time through a metric's collect() hook instead of being mirrored on
+// every change.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(pairs) {
+    return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+class Metric {
+    // collect(metric): called before every scrape, to set values kept elsewhere
+    constructor(type, name, help, { labels = [], collect = null } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labels;
+        this.collect = collect;
+        this.series = new Map(); // label values joined -> { labels, ... }
+    }
+
+    // The series for these labels, created on first use
+    get(labels = {}) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: this.labelNames.map((name, i) => [name, values[i]]), ...this.initial() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    initial() {
+        return { value: 0 };
+    }
+
+    // Drops every series (for collect() hooks that rebuild them from scratch)
+    reset() {
+        this.series.clear();
+    }
+
+    lines() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+
+    render() {
+        const help = this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+        return [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+
+    inc(labels, by = 1) {
+        this.get(labels).value += by;
+    }
+
+    // For counters whose running total is kept somewhere else
+    set(labels, value) {
+        this.get(labels).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, options) {
+        super('gauge', name, help, options);
+    }
+
+    set(labels, value) {
+        this.get(labels).value = value;
+    }
+
+    inc(labels, by = 1) {
+        this.get(labels).value += by;
+    }
+
+    dec(labels, by = 1) {
+        this.get(labels).value -= by;
+    }
+}
+
+class Histogram extends Metric {
+    // buckets: upper bounds in ascending order (+Inf is implied)
+    constructor(name, help, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+        super('histogram', name, help, options);
+        this.buckets = buckets;
+    }
+
+    initial() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.get(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that observes the seconds elapsed since this call
+    startTimer(labels) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+
+    lines() {
+        const lines = [];
+        for (const s of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels([...s.labels, ['le', formatValue(bound)]])} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels([...s.labels, ['le', '+Inf']])} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, options) {
+        return this.register(new Counter(name, help, options));
+    }
+
+    gauge(name, help, options) {
+        return this.register(new Gauge(name, help, options));
+    }
+
+    histogram(name, help, options) {
+        return this.register(new Histogram(name, help, options));
+    }
+
+    // The whole registry in the text exposition format. A failing collect()
+    // leaves that metric's last values in place rather than failing the scrape.
+    render() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                try {
+                    metric.collect(metric);
+                } catch (e) { }
+            }
+            blocks.push(metric.render());
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_BUCKETS };
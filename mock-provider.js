@@ -0,0 +1,305 @@
+// Offline Mock Provider
+// Stands in for the browser provider when AI_PROVIDER=mock: no Chrome, no
+// puter.com. Answers are deterministic and can be scripted from a JSON file
+// (MOCK_SCRIPT) to add latency, custom replies, stream chunks or failures.
+//
+// Script format:
+// {
+//   "latencyMs": 0,          // default delay before every call
+//   "chunkDelayMs": 0,       // delay between streamed chunks
+//   "rules": [
+//     {
+//       "endpoint": "chat",              // chat|image|tts|stt|s2s|video|search|models (optional, any)
+//       "match": "hello" | "/regex/i",   // tested against the prompt text (optional, any)
+//       "response": "text or value",     // what the call resolves with
+//       "chunks": ["a", "b"],            // stream chunks (default: response split on words)
+//       "usage": { "prompt_tokens": 9, "completion_tokens": 3 },  // reported token counts (default: none)
+//       "tool_calls": [{ "name": "get_weather", "arguments": { "city": "Paris" } }],  // made when the request has tools
+//       "latencyMs": 500,
+//       "error": "limit" | "timeout" | "crash",
+//       "times": 1                       // fire this many times, then retire the rule
+//     }
+//   ]
+// }
+
+const fsSync = require('fs');
+const { TabPool } = require('./tab-pool');
+const { StreamBridge } = require('./stream-bridge');
+const { ApiError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Mock');
+
+// 1x1 transparent PNG and a few bytes of silence, enough to look like media
+const MOCK_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const MOCK_AUDIO = 'data:audio/mpeg;base64,SUQzBAAAAAAAI1RTU0UAAAAPAAADTGF2ZjU4Ljc2LjEwMAAAAAAAAAAAAAAA';
+
+const MOCK_MODELS = [
+    { id: 'gemini-2.0-flash', provider: 'google', context: 1000000 },
+    { id: 'gemini-2.5-flash-image-preview', provider: 'google' },
+    { id: 'gpt-4o-mini', provider: 'openai', context: 128000 },
+    { id: 'claude-sonnet-4', provider: 'anthropic', context: 200000 },
+    { id: 'sonar-reasoning-pro', provider: 'perplexity' },
+    { id: 'dall-e-3', provider: 'openai' },
+    { id: 'sora-2', provider: 'openai' }
+];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Like the browser provider, a call gives up as soon as the lease's signal fires
+function cancellableSleep(tab, ms) {
+    const signal = tab.signal;
+    if (!signal) return sleep(ms);
+    return new Promise((resolve, reject) => {
+        const cancel = () => {
+            clearTimeout(timer);
+            reject(new ApiError('cancelled', 'Request cancelled: client disconnected'));
+        };
+        if (signal.aborted) return cancel();
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', cancel);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', cancel, { once: true });
+    });
+}
+
+// Same error shapes the page helpers and Puppeteer produce, so the recovery
+// paths in safeExecute and streamChat see exactly what they would in production
+const INJECTED_ERRORS = {
+    limit: () => ({ error: { message: 'insufficient_funds: usage-limited', code: 'insufficient_funds', status: 402 } }),
+    timeout: () => { throw new Error("ProtocolError: Runtime.callFunctionOn timed out. Increase the 'protocolTimeout' setting in launch/connect calls for a higher timeout if needed."); },
+    crash: () => { throw new Error('Protocol error (Runtime.callFunctionOn): Target closed'); }
+};
+
+// Last user text of a prompt string or message array
+function promptText(input) {
+    if (typeof input === 'string') return input;
+    if (!Array.isArray(input)) return '';
+    const last = [...input].reverse().find(m => m && m.role === 'user') || input[input.length - 1];
+    if (!last) return '';
+    if (typeof last.content === 'string') return last.content;
+    if (Array.isArray(last.content)) return last.content.map(p => (typeof p === 'string' ? p : p?.text || '')).join('');
+    return '';
+}
+
+function matches(rule, endpoint, text) {
+    if (rule.endpoint && rule.endpoint !== endpoint) return false;
+    if (!rule.match) return true;
+    const re = /^\/(.*)\/([a-z]*)$/.exec(rule.match);
+    return re ? new RegExp(re[1], re[2]).test(text) : text.includes(rule.match);
+}
+
+// Tabs have no page, but are leased and recycled exactly like browser tabs,
+// and stream chunks go through a StreamBridge like the page's do
+class MockSession {
+    constructor(id, tabsPerSession = 2) {
+        this.id = id;
+        this.type = 'primary';
+        this.page = null;
+        this.isReady = true;
+        this.status = 'ready';
+        this.createdAt = Date.now();
+        this.token = `mock-token-${id}`;
+        this.activeRequests = 0;
+        this.bridge = new StreamBridge(`Mock #${id}`);
+        this.tabs = new TabPool({ owner: this, label: `Mock #${id}`, size: tabsPerSession, openTab: async () => null });
+        this.tabs.fill();
+    }
+
+    async injectHelpers() { }
+
+    async close() {
+        this.status = 'dead';
+        this.isReady = false;
+        this.tabs.closeAll();
+    }
+}
+
+// Same surface as SessionPool, minus the browser
+class MockPool {
+    constructor(tabsPerSession) {
+        this.tabsPerSession = tabsPerSession;
+        this.primary = null;
+        this.sessionCounter = 0;
+        this.tokenCache = null;
+        this.isRotating = false;
+        this.rotations = 0;
+        this.rotationsByReason = {};
+    }
+
+    async init() {
+        if (!this.primary) this.primary = this.createSession();
+        log.info('Mock session ready (no browser)');
+    }
+
+    createSession() {
+        this.sessionCounter++;
+        return new MockSession(this.sessionCounter, this.tabsPerSession);
+    }
+
+    async getSession() {
+        if (this.primary && this.primary.isReady) return this.primary;
+        return this.forceRotate('recovery');
+    }
+
+    async rotateOnLimitError(reason = 'upstream_quota') {
+        return this.forceRotate(reason);
+    }
+
+    async forceRotate(reason = 'manual') {
+        const from = this.primary?.id ?? null;
+        if (this.primary) await this.primary.close();
+        this.primary = this.createSession();
+        this.rotations++;
+        this.rotationsByReason[reason] = (this.rotationsByReason[reason] || 0) + 1;
+        log.warn(`Rotated to mock session #${this.primary.id}`, { reason, from });
+        return this.primary;
+    }
+
+    updateToken(token) {
+        this.tokenCache = token;
+    }
+
+    async close() {
+        if (this.primary) await this.primary.close();
+        this.primary = null;
+    }
+}
+
+function loadScript(scriptPath) {
+    if (!scriptPath) return { rules: [] };
+    const script = JSON.parse(fsSync.readFileSync(scriptPath, 'utf8'));
+    return { ...script, rules: Array.isArray(script.rules) ? script.rules : [] };
+}
+
+function createMockProvider({ scriptPath = null, latencyMs = 0, chunkDelayMs = 0, tabsPerSession = 2 } = {}) {
+    const script = loadScript(scriptPath);
+    const pool = new MockPool(tabsPerSession);
+    const defaultLatency = script.latencyMs ?? latencyMs;
+    const chunkDelay = script.chunkDelayMs ?? chunkDelayMs;
+
+    // Finds the first live rule for this call and uses up one of its `times`
+    const takeRule = (endpoint, text) => {
+        const rule = script.rules.find(r => r.times !== 0 && matches(r, endpoint, text));
+        if (rule && typeof rule.times === 'number') rule.times--;
+        return rule || null;
+    };
+
+    // Applies latency and injected errors. Returns { rule } to continue, or
+    // { result } when an injected limit error should be the call's result.
+    const begin = async (tab, endpoint, text) => {
+        const rule = takeRule(endpoint, text);
+        const delay = rule?.latencyMs ?? defaultLatency;
+        if (delay) await cancellableSleep(tab, delay);
+
+        if (rule?.error) {
+            const inject = INJECTED_ERRORS[rule.error];
+            if (!inject) throw new Error(`Unknown mock error "${rule.error}"`);
+            if (rule.error === 'crash') {
+                tab.session.isReady = false;
+                tab.session.status = 'dead';
+            }
+            return { result: inject() };
+        }
+        return { rule };
+    };
+
+    // The rule's tool calls, for requests that offer tools. Claude models answer
+    // with Anthropic tool_use blocks, others with OpenAI tool_calls, as Puter passes them on.
+    const toolUses = (rule, options) => {
+        if (!options?.tools || options.tool_choice === 'none' || !Array.isArray(rule?.tool_calls)) return [];
+        return rule.tool_calls.map((call, i) => ({ type: 'tool_use', id: `toolu_mock_${i + 1}`, name: call.name, input: call.arguments || {} }));
+    };
+    const toOpenAIToolCall = (use) => ({ id: use.id, type: 'function', function: { name: use.name, arguments: JSON.stringify(use.input) } });
+
+    // { reply, finishReason, uses }: uses are the tool calls made instead of (or along with) a reply
+    const chatReply = (rule, text, options) => {
+        const uses = toolUses(rule, options);
+        if (uses.length) return { reply: rule.response ?? '', finishReason: 'tool_calls', uses };
+        let reply = rule?.response ?? `Mock reply to: ${text}`;
+        let finishReason = 'stop';
+        // max_tokens is honoured roughly (4 chars per token) so truncation paths can be exercised
+        if (options?.max_tokens && reply.length > options.max_tokens * 4) {
+            reply = reply.slice(0, options.max_tokens * 4);
+            finishReason = 'length';
+        }
+        return { reply, finishReason, uses };
+    };
+
+    // Runs a simple (non-chat) endpoint: injected behaviour, else the rule's response, else the fallback
+    const simple = async (tab, endpoint, text, fallback) => {
+        const { rule, result } = await begin(tab, endpoint, text);
+        if (result) return result;
+        return rule?.response ?? fallback;
+    };
+
+    return {
+        name: 'mock',
+        pool,
+        script,
+
+        async chat(tab, input, model, options = {}) {
+            const text = promptText(input);
+            const { rule, result } = await begin(tab, 'chat', text);
+            if (result) return result;
+            const { reply, finishReason, uses } = chatReply(rule, text, options);
+            if (uses.length && /^claude/.test(model)) {
+                const content = [...(reply ? [{ type: 'text', text: reply }] : []), ...uses];
+                return { message: { role: 'assistant', content }, stop_reason: 'tool_use', model, ...(rule.usage && { usage: rule.usage }) };
+            }
+            const message = { role: 'assistant', content: uses.length && !reply ? null : reply };
+            if (uses.length) message.tool_calls = uses.map(toOpenAIToolCall);
+            const res = { message, finish_reason: finishReason, model };
+            if (rule?.usage) res.usage = rule.usage;
+            return res;
+        },
+
+        async chatStream(tab, input, model, options, onChunk) {
+            const text = promptText(input);
+            const { rule, result } = await begin(tab, 'chat', text);
+            if (result) return result;
+
+            const { reply, finishReason, uses } = chatReply(rule, text, options);
+            const chunks = (rule?.chunks || reply.split(/(?<=\s)/)).map(chunk => ({ type: 'text', text: chunk }));
+            // Whole tool_use chunks for Claude, OpenAI deltas with the arguments split in two otherwise
+            for (const [index, use] of uses.entries()) {
+                if (/^claude/.test(model)) {
+                    chunks.push(use);
+                    continue;
+                }
+                const args = JSON.stringify(use.input);
+                const half = Math.ceil(args.length / 2);
+                chunks.push({ choices: [{ delta: { tool_calls: [{ index, id: use.id, type: 'function', function: { name: use.name, arguments: args.slice(0, half) } }] } }] });
+                chunks.push({ choices: [{ delta: { tool_calls: [{ index, function: { arguments: args.slice(half) } }] } }] });
+            }
+            if (rule?.usage) chunks.push({ type: 'usage', usage: rule.usage });
+            chunks.push({ type: 'text', text: '', finish_reason: finishReason });
+
+            // Plays the page's side of the bridge: a frame per chunk, then an end frame
+            const { bridge } = tab.session;
+            const stream = bridge.open(onChunk);
+            for (const chunk of chunks) {
+                if (chunkDelay && chunk.text) await sleep(chunkDelay);
+                if (tab.signal?.aborted) {
+                    stream.close();
+                    return { cancelled: true };
+                }
+                if (!(await bridge.receive({ id: stream.id, type: 'data', payload: chunk }))) break;
+            }
+            await bridge.receive({ id: stream.id, type: 'end', payload: { success: true } });
+            stream.close();
+            return stream.finished;
+        },
+
+        image: (tab, prompt) => simple(tab, 'image', prompt, MOCK_IMAGE),
+        search: (tab, prompt) => simple(tab, 'search', prompt, { message: { role: 'assistant', content: `Mock search results for: ${prompt}` } }),
+        tts: (tab, text) => simple(tab, 'tts', text, MOCK_AUDIO),
+        stt: (tab) => simple(tab, 'stt', '', { text: 'Mock transcription' }),
+        s2s: (tab) => simple(tab, 's2s', '', MOCK_AUDIO),
+        video: (tab, prompt) => simple(tab, 'video', prompt, `https://example.invalid/mock/video/${encodeURIComponent(prompt.slice(0, 32))}.mp4`),
+        listModels: (tab) => simple(tab, 'models', '', MOCK_MODELS)
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,532 @@
+// Page Helpers
+// Everything the server calls inside a Puter tab: window.doChat, doImage,
+// doTTS and the rest, plus the hooks that let a call be cancelled.
+// installPageHelpers runs in the page, not in Node, so it can only use what
+// it is passed.
+//
+// BrowserSession registers it once per tab with evaluateOnNewDocument, and
+// Chrome re-runs it on every navigation. Each run stamps the page with
+// HELPERS_VERSION, a hash of the in-page code, and a page missing the current
+// stamp (a document that loaded before registration, or one the script failed
+// in) gets the helpers injected again.
+
+const crypto = require('crypto');
+const { installPageBridge } = require('./stream-bridge');
+
+function installPageHelpers(version) {
+    window.puterReady = true;
+
+    // Cancellation. A tab serves one request at a time, so cancelling a
+    // call aborts every fetch/XHR the tab started since the call began,
+    // and settles the call's promise right away (see evaluateCancellable in server.js)
+    if (!window.__callTracking) {
+        const tracking = window.__callTracking = { requests: new Set(), calls: {} };
+
+        const nativeFetch = window.fetch.bind(window);
+        window.fetch = (input, init = {}) => {
+            const controller = new AbortController();
+            if (init.signal) init.signal.addEventListener('abort', () => controller.abort(), { once: true });
+            tracking.requests.add(controller);
+            return nativeFetch(input, { ...init, signal: controller.signal });
+        };
+
+        const nativeSend = XMLHttpRequest.prototype.send;
+        XMLHttpRequest.prototype.send = function (...args) {
+            tracking.requests.add(this);
+            return nativeSend.apply(this, args);
+        };
+
+        window.__beginCall = (callId, cancel) => {
+            tracking.requests.clear();
+            tracking.calls[callId] = { cancel };
+        };
+        window.__endCall = (callId) => {
+            delete tracking.calls[callId];
+            tracking.requests.clear();
+        };
+        window.__cancelCall = (callId) => {
+            const call = tracking.calls[callId];
+            if (!call) return false;
+            for (const request of tracking.requests) {
+                try { request.abort(); } catch (e) { }
+            }
+            tracking.requests.clear();
+            call.cancel();
+            return true;
+        };
+
+        // Runs window[helper](...args) as a cancellable call
+        window.__runCall = async (callId, helper, args) => {
+            let cancel;
+            const cancelled = new Promise((_, reject) => {
+                cancel = () => reject(new Error('Request cancelled: client disconnected'));
+            });
+            window.__beginCall(callId, cancel);
+            try {
+                return await Promise.race([window[helper](...args), cancelled]);
+            } finally {
+                window.__endCall(callId);
+            }
+        };
+
+        // Runs the async generator window[helper](...args) as a cancellable
+        // call, sending what it yields to Node as frames of stream callId.
+        // A yielded { error } ends the stream with an error frame.
+        window.__streamCall = async (callId, helper, args) => {
+            let cancelled = false;
+            window.__beginCall(callId, () => { cancelled = true; });
+            try {
+                for await (const chunk of window[helper](...args)) {
+                    if (cancelled) break;
+                    if (chunk && chunk.error) return await window.__bridge.fail(callId, chunk.error);
+                    // Node stopped listening: leaving the loop closes the upstream stream
+                    if (!(await window.__bridge.write(callId, chunk))) break;
+                }
+                await window.__bridge.end(callId, cancelled ? { cancelled: true } : { success: true });
+            } catch (e) {
+                if (cancelled) return await window.__bridge.end(callId, { cancelled: true });
+                console.error('[Puter Stream] Error:', e);
+                await window.__bridge.fail(callId, {
+                    message: e.message || String(e),
+                    name: e.name,
+                    stack: e.stack,
+                    delegate: e.delegate,
+                    code: e.code,
+                    status: e.status
+                });
+            } finally {
+                window.__endCall(callId);
+            }
+        };
+    }
+
+    // Chat Wrapper (with streaming support)
+    window.doChat = async (prompt, model, stream = false, options = {}) => {
+        try {
+            if (!puter?.ai) return { error: 'Puter AI not ready' };
+
+            if (stream) {
+                // Streaming mode - return async generator
+                return puter.ai.chat(prompt, { ...options, model, stream: true });
+            } else {
+                // Normal mode
+                return await puter.ai.chat(prompt, { ...options, model });
+            }
+        } catch (e) {
+            // Create a serializable error report
+            let message = e.message || String(e);
+            if (message === "[object Object]") {
+                try { message = JSON.stringify(e); } catch (e2) { message = "Complex Error Object"; }
+            }
+            const report = {
+                message: message,
+                name: e.name,
+                stack: e.stack,
+                string: e.toString()
+            };
+            // Collect all other properties
+            try {
+                Object.getOwnPropertyNames(e).forEach(key => {
+                    if (!report[key]) report[key] = e[key];
+                });
+            } catch (e2) { }
+            return { error: report };
+        }
+    };
+
+    // Streaming Chat Helper, run through window.__streamCall.
+    // Yields chunks, or a single { error } chunk when Puter refuses.
+    window.doChatStream = async function* (prompt, model, options = {}) {
+        if (!puter?.ai) {
+            yield { error: 'Puter AI not ready' };
+            return;
+        }
+
+        let stream;
+        try {
+            stream = await puter.ai.chat(prompt, { ...options, model, stream: true });
+        } catch (chatError) {
+            // Catch errors from puter.ai.chat call itself
+            console.error('[Puter Stream] Chat call failed:', chatError);
+
+            // Extract error details
+            let errorObj = {
+                message: chatError.message || String(chatError),
+                name: chatError.name,
+                stack: chatError.stack
+            };
+
+            // Check for limit-related properties
+            if (chatError.delegate) errorObj.delegate = chatError.delegate;
+            if (chatError.code) errorObj.code = chatError.code;
+            if (chatError.status) errorObj.status = chatError.status;
+
+            yield { error: errorObj };
+            return;
+        }
+
+        // Check if stream itself is an error
+        if (stream && stream.error) {
+            console.error('[Puter Stream] Stream returned error:', stream.error);
+            yield { error: stream.error };
+            return;
+        }
+
+        // Check if stream is actually an error response (no iterator)
+        if (stream && !stream[Symbol.asyncIterator] && !stream.getReader && typeof stream === 'object') {
+            // Might be an error object disguised as response
+            const streamStr = JSON.stringify(stream).toLowerCase();
+            if (streamStr.includes('error') || streamStr.includes('limit') || streamStr.includes('insufficient')) {
+                console.error('[Puter Stream] Stream looks like error:', stream);
+                yield { error: stream };
+                return;
+            }
+        }
+
+        // Handle different stream formats
+        if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+            yield* stream;
+        } else if (stream && typeof stream.getReader === 'function') {
+            // ReadableStream
+            const reader = stream.getReader();
+            const decoder = new TextDecoder();
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    yield { text: decoder.decode(value, { stream: true }) };
+                }
+            } finally {
+                // Stops the upstream read when the consumer gives up early
+                reader.cancel().catch(() => { });
+            }
+        } else {
+            // Fallback: return as single chunk
+            yield stream;
+        }
+    };
+
+    // Image Wrapper (Txt2Img & Img2Img) - Enhanced for FLUX & All Models
+    window.doImage = async (prompt, model, inputImage) => {
+        try {
+            if (!puter?.ai) throw new Error('Puter AI not ready');
+            const options = { model };
+
+            if (inputImage) {
+                options.input_image = inputImage;
+            }
+
+            console.log('[Puter] Calling txt2img with model:', model);
+            const result = await puter.ai.txt2img(prompt, options);
+            console.log('[Puter] txt2img result type:', typeof result, 'isArray:', Array.isArray(result));
+
+            if (!result) {
+                throw new Error('Puter txt2img returned no result (null/undefined)');
+            }
+
+            // Helper function to extract URL from any value
+            const extractUrl = (val) => {
+                if (!val) return null;
+
+                // Direct string URL
+                if (typeof val === 'string' && (val.startsWith('http') || val.startsWith('data:'))) {
+                    return val;
+                }
+
+                // Object with URL properties
+                if (typeof val === 'object' && !Array.isArray(val)) {
+                    const url = val.url || val.src || val.image_url || val.data || val.output || val.output_url;
+                    if (url && typeof url === 'string') return url;
+                }
+
+                return null;
+            };
+
+            // 1. Direct HTML Element
+            if (result instanceof HTMLImageElement || result?.tagName === 'IMG') {
+                console.log('[Puter] Result is IMG element');
+                return result.src;
+            }
+
+            // 2. Direct String (URL or Base64)
+            const directUrl = extractUrl(result);
+            if (directUrl) {
+                console.log('[Puter] Found direct URL');
+                return directUrl;
+            }
+
+            // 3. Blob
+            if (result instanceof Blob) {
+                console.log('[Puter] Result is Blob');
+                return await new Promise(r => {
+                    const reader = new FileReader();
+                    reader.onload = () => r(reader.result);
+                    reader.readAsDataURL(result);
+                });
+            }
+
+            // 4. Array (FLUX returns array!)
+            if (Array.isArray(result)) {
+                console.log('[Puter] Result is Array, length:', result.length);
+
+                if (result.length === 0) {
+                    throw new Error('Empty array returned from txt2img');
+                }
+
+                // Try each item in array
+                for (let i = 0; i < result.length; i++) {
+                    const item = result[i];
+                    console.log(`[Puter] Checking array[${i}], type:`, typeof item);
+
+                    // String URL
+                    const url = extractUrl(item);
+                    if (url) {
+                        console.log(`[Puter] Found URL in array[${i}]`);
+                        return url;
+                    }
+
+                    // Blob
+                    if (item instanceof Blob) {
+                        console.log(`[Puter] Found Blob in array[${i}]`);
+                        return await new Promise(r => {
+                            const reader = new FileReader();
+                            reader.onload = () => r(reader.result);
+                            reader.readAsDataURL(item);
+                        });
+                    }
+
+                    // Nested array (FLUX sometimes does this!)
+                    if (Array.isArray(item) && item.length > 0) {
+                        console.log(`[Puter] Found nested array[${i}], length:`, item.length);
+                        const nestedUrl = extractUrl(item[0]);
+                        if (nestedUrl) return nestedUrl;
+                    }
+                }
+
+                // If nothing found, return first item as string
+                console.warn('[Puter] No URL found in array, returning first item');
+                return String(result[0]);
+            }
+
+            // 5. Object (Gemini/GPT/Other JSON responses)
+            if (typeof result === 'object') {
+                console.log('[Puter] Result is Object, keys:', Object.keys(result).join(', '));
+
+                // Check common paths
+                const possiblePaths = [
+                    result?.url,
+                    result?.src,
+                    result?.data,
+                    result?.result,
+                    result?.image_url,
+                    result?.image,
+                    result?.output,
+                    result?.output_url,
+                    result?.choices?.[0]?.image_url,
+                    result?.choices?.[0]?.url,
+                    result?.choices?.[0]?.message?.content,
+                    result?.message?.content,
+                    result?.message,
+                    result?.images?.[0],
+                    result?.data?.[0]?.url,
+                    result?.data?.[0]
+                ];
+
+                for (const val of possiblePaths) {
+                    const url = extractUrl(val);
+                    if (url) {
+                        console.log('[Puter] Found URL in object path');
+                        return url;
+                    }
+                }
+
+                // Deep search in nested objects
+                const deepSearch = (obj, depth = 0, path = '') => {
+                    if (depth > 4) return null;
+                    if (!obj || typeof obj !== 'object') return null;
+
+                    for (const key in obj) {
+                        const val = obj[key];
+                        const currentPath = path ? `${path}.${key}` : key;
+
+                        const url = extractUrl(val);
+                        if (url) {
+                            console.log(`[Puter] Found URL at path: ${currentPath}`);
+                            return url;
+                        }
+
+                        if (typeof val === 'object' && val !== null) {
+                            const nested = deepSearch(val, depth + 1, currentPath);
+                            if (nested) return nested;
+                        }
+                    }
+                    return null;
+                };
+
+                const deepFound = deepSearch(result);
+                if (deepFound) return deepFound;
+
+                console.error('[Puter] Image Extraction Failed. Raw Response:', JSON.stringify(result).substring(0, 1000));
+                throw new Error(`Cannot extract image URL. Keys: ${Object.keys(result).join(', ')}. Type: ${Array.isArray(result) ? 'Array' : typeof result}. Raw: ${JSON.stringify(result).substring(0, 200)}`);
+            }
+
+            // Last resort
+            console.warn('[Puter] Unknown result type, returning as-is');
+            return result;
+
+        } catch (e) {
+            console.error('[Puter] doImage Error:', e);
+            let message = e.message || String(e);
+            if (message === "[object Object]") {
+                try { message = JSON.stringify(e); } catch (e2) { message = "Complex Image Error Object"; }
+            }
+            return { error: { message: message, stack: e.stack, name: e.name, raw: String(e) } };
+        }
+    };
+
+    // Search Wrapper (Perplexity)
+    window.doSearch = async (prompt, model) => {
+        if (!puter?.ai) throw new Error('Puter AI not ready');
+        return await puter.ai.chat(prompt, { model });
+    };
+
+    // Model Discovery
+    window.doListModels = async () => {
+        if (!puter?.ai) throw new Error('Puter AI not ready');
+        if (typeof puter.ai.listModels !== 'function') {
+            throw new Error('puter.ai.listModels is not available');
+        }
+        return await puter.ai.listModels();
+    };
+
+    // Text-to-Speech Wrapper with Fallbacks
+    window.doTTS = async (text, voice, model, fallbacks) => {
+        const tryTTS = async (v, m, p) => {
+            console.log(`[Puter] TTS Attempt: Voice=${v || 'default'}, Model=${m || 'default'}, Provider=${p || 'default'}`);
+            const options = {};
+            if (p) options.provider = p;
+            if (v) options.voice = v;
+            if (m) options.model = m;
+
+            const result = await puter.ai.txt2speech(text, options);
+
+            if (result && (result instanceof HTMLAudioElement || result.tagName === 'AUDIO')) return result.src;
+            if (result instanceof Blob) {
+                return await new Promise(r => {
+                    const reader = new FileReader();
+                    reader.onload = () => r(reader.result);
+                    reader.readAsDataURL(result);
+                });
+            }
+            return result;
+        };
+
+        // fallbacks: [{ provider, voice, model }] from the server's config, tried in
+        // order. No provider means Puter's default voice; no voice keeps the
+        // requested one, and the first step takes the requested model if given.
+        let lastError;
+        for (const [i, step] of fallbacks.entries()) {
+            const v = step.provider ? (step.voice || voice) : null;
+            const m = step.provider ? ((i === 0 && model) || step.model) : null;
+            try {
+                return await tryTTS(v, m, step.provider || null);
+            } catch (e) {
+                lastError = e;
+                console.warn(`[Puter] TTS Attempt ${i + 1}/${fallbacks.length} Failed: ${e.message}`);
+            }
+        }
+        throw lastError;
+    };
+
+    // Speech-to-Text Wrapper (Filesystem Approach)
+    window.doSTT = async (audioDataVal) => {
+        try {
+            if (!puter?.ai) throw new Error('Puter AI not ready');
+
+            // Convert Data URI to Blob
+            const response = await fetch(audioDataVal);
+            const originalBlob = await response.blob();
+
+            // Reconstruct blob with MP3 mime type (spoofing for the backend)
+            const blob = new Blob([originalBlob], { type: 'audio/mpeg' });
+
+            // Generate temp filename with .mp3 extension
+            const filename = `~/temp_voice_${Date.now()}.mp3`;
+
+            // Write to Puter FS
+            await puter.fs.write(filename, blob);
+
+            try {
+                // Transcribe using whisper-1 (best for varied audio formats)
+                const transcription = await puter.ai.speech2txt(filename, { model: 'whisper-1' });
+
+                // Delete temp file
+                await puter.fs.delete(filename).catch(() => { });
+
+                return transcription;
+            } catch (transE) {
+                // Cleanup on error
+                await puter.fs.delete(filename).catch(() => { });
+                throw transE;
+            }
+        } catch (e) {
+            throw new Error(e.message || JSON.stringify(e));
+        }
+    };
+
+    // Voice Conversion Wrapper (Speech-to-Speech)
+    window.doS2S = async (audioDataVal, voice) => {
+        const tryS2S = async (v, m) => {
+            console.log(`[Puter] S2S Attempt: Voice=${v}, Model=${m}`);
+            const result = await puter.ai.speech2speech(audioDataVal, {
+                provider: 'elevenlabs',
+                voice: v || '21m00Tcm4TlvDq8ikWAM',
+                model: m || 'eleven_multilingual_sts_v2'
+            });
+            if (result instanceof Blob) {
+                return await new Promise(r => {
+                    const reader = new FileReader();
+                    reader.onload = () => r(reader.result);
+                    reader.readAsDataURL(result);
+                });
+            }
+            return result;
+        };
+
+        try {
+            return await tryS2S(voice, 'eleven_multilingual_sts_v2');
+        } catch (e) {
+            console.warn(`[Puter] S2S Failed, trying Rachel fallback...`);
+            return await tryS2S('21m00Tcm4TlvDq8ikWAM', 'eleven_multilingual_sts_v2');
+        }
+    };
+    // Video Wrapper (Txt2Vid)
+    window.doVideo = async (prompt, model) => {
+        try {
+            if (!puter?.ai) throw new Error('Puter AI not ready');
+            const options = {
+                model,
+                prompt
+            };
+            const result = await puter.ai.txt2vid(prompt, options);
+
+            if (result && (result instanceof HTMLVideoElement || result.tagName === 'VIDEO')) {
+                return result.src;
+            }
+            if (typeof result === 'string') return result;
+            return result;
+        } catch (e) {
+            throw new Error(e.message || JSON.stringify(e));
+        }
+    };
+
+    window.__helpersVersion = version;
+}
+
+const HELPERS_VERSION = crypto.createHash('sha256')
+    .update(installPageHelpers.toString())
+    .update(installPageBridge.toString())
+    .digest('hex')
+    .slice(0, 12);
+
+module.exports = { installPageHelpers, HELPERS_VERSION };
@@ -0,0 +1,166 @@
+// Response Cache
+// LRU cache for finished AI responses, bounded by the total size of what it
+// holds rather than by entry count: one cached image can outweigh a thousand
+// chat replies. Every endpoint has its own TTL (0 turns caching off for it).
+// Keys are a hash of the endpoint and everything that shapes the output, so
+// two requests only share an entry when they would have produced the same call.
+// The same keys drive single flight: identical requests arriving while the
+// first is still running wait for its result instead of making their own call.
+
+const crypto = require('crypto');
+
+// JSON with object keys sorted, so { a, b } and { b, a } hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(k => value[k] !== undefined)
+            .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+class ResponseCache {
+    // ttls: { [endpoint]: ms }, with defaultTtl for endpoints not listed
+    constructor({ maxBytes = 50 * 1024 * 1024, defaultTtl = 5 * 60 * 1000, ttls = {} } = {}) {
+        this.maxBytes = maxBytes;
+        this.defaultTtl = defaultTtl;
+        this.ttls = ttls;
+        this.entries = new Map(); // oldest use first
+        this.bytes = 0;
+        this.inflight = new Map(); // key -> { promise, controller, waiting }
+        this.stats = {};
+    }
+
+    ttlFor(endpoint) {
+        return this.ttls[endpoint] ?? this.defaultTtl;
+    }
+
+    enabled(endpoint) {
+        return this.ttlFor(endpoint) > 0;
+    }
+
+    key(endpoint, inputs) {
+        return `${endpoint}:${crypto.createHash('sha256').update(stableStringify(inputs)).digest('hex')}`;
+    }
+
+    counters(endpoint) {
+        return this.stats[endpoint] || (this.stats[endpoint] = { hits: 0, misses: 0, bypassed: 0, coalesced: 0, stored: 0, evicted: 0, expired: 0 });
+    }
+
+    // Returns { data, ageMs } for a fresh entry, else null
+    get(endpoint, key) {
+        const counts = this.counters(endpoint);
+        const entry = this.entries.get(key);
+        if (entry && Date.now() > entry.expiresAt) {
+            this.remove(key);
+            counts.expired++;
+        } else if (entry) {
+            // Re-inserting moves it to the most recently used end
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            counts.hits++;
+            return { data: entry.data, ageMs: Date.now() - entry.storedAt };
+        }
+        counts.misses++;
+        return null;
+    }
+
+    // Counts a request that skipped the lookup (Cache-Control: no-cache / no-store)
+    bypass(endpoint) {
+        this.counters(endpoint).bypassed++;
+    }
+
+    // Counts a request that joined one already in flight
+    recordCoalesced(endpoint) {
+        this.counters(endpoint).coalesced++;
+    }
+
+    // Runs compute(signal) once for every identical request (same key) in
+    // flight, and resolves (or rejects) each of them with its outcome. The
+    // signal compute gets only fires once every caller's own signal has, so
+    // one client going away doesn't cancel the call for the others. A null
+    // key (not shareable) just runs compute.
+    share(endpoint, key, signal, compute) {
+        let flight = key ? this.inflight.get(key) : null;
+        if (flight) {
+            this.recordCoalesced(endpoint);
+        } else {
+            const controller = new AbortController();
+            flight = { controller, waiting: 0 };
+            flight.promise = Promise.resolve()
+                .then(() => compute(controller.signal))
+                .finally(() => {
+                    if (this.inflight.get(key) === flight) this.inflight.delete(key);
+                });
+            if (key) this.inflight.set(key, flight);
+        }
+
+        flight.waiting++;
+        if (signal) {
+            const leave = () => {
+                if (--flight.waiting === 0) flight.controller.abort();
+            };
+            if (signal.aborted) leave();
+            else signal.addEventListener('abort', leave, { once: true });
+        }
+        return flight.promise;
+    }
+
+    set(endpoint, key, data) {
+        const ttl = this.ttlFor(endpoint);
+        if (ttl <= 0) return false;
+        const size = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(data) ?? '');
+        if (size > this.maxBytes) return false;
+
+        this.remove(key);
+        this.entries.set(key, { endpoint, data, size, storedAt: Date.now(), expiresAt: Date.now() + ttl });
+        this.bytes += size;
+        this.counters(endpoint).stored++;
+
+        for (const [oldKey, oldEntry] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.remove(oldKey);
+            this.counters(oldEntry.endpoint).evicted++;
+        }
+        return true;
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    getStats() {
+        const ratio = ({ hits, misses }) => (hits + misses ? Number((hits / (hits + misses)).toFixed(4)) : null);
+        const endpoints = {};
+        const total = { hits: 0, misses: 0, bypassed: 0, coalesced: 0, stored: 0, evicted: 0, expired: 0 };
+        for (const [endpoint, counts] of Object.entries(this.stats)) {
+            endpoints[endpoint] = { ...counts, hitRatio: ratio(counts), ttlMs: this.ttlFor(endpoint) };
+            for (const name of Object.keys(total)) total[name] += counts[name];
+        }
+        return {
+            entries: this.entries.size,
+            inflight: this.inflight.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            ...total,
+            hitRatio: ratio(total),
+            endpoints
+        };
+    }
+}
+
+module.exports = { ResponseCache, stableStringify };
@@ -4,152 +4,512 @@
 // - Intelligent Session Recovery with Context Preservation
 // - Cloudflare Bypass (puppeteer-real-browser)
 // - Full AI Suite: Chat, Search, Image (Txt2Img/Img2Img), TTS, STT, Video
+// - OpenAI-Compatible Chat Completions (/v1/chat/completions)
+// - Anthropic-Compatible Messages API (/v1/messages)
 // - Persistent Storage for Chats & Tokens
 // - Advanced Error Handling & Auto-Recovery
+// - Pluggable Providers: real browser or offline mock (AI_PROVIDER=mock)
+// - API Key Authentication with Scopes
+// - Per-Key Rate Limits & Persisted Quotas
+// - Token Usage Reporting (per response, per model, per chat)
+// - Secret Redaction & Audited Reveals on Debug Routes
+// - Puter Tokens Encrypted at Rest (AES-256-GCM, rotatable keys)
+// - Priority Request Queue in Front of the Browser Session
+// - Pool of Logged-In Tabs per Browser Session (one leased per request)
+// - Client Disconnects Cancel the In-Browser Call and Free Its Queue Slot
+// - One Multiplexed Page-to-Node Stream Bridge per Session (with backpressure)
+// - Versioned Page Helpers Registered Once per Tab (re-injected only when stale)
+// - Byte-Bounded LRU Response Cache (per-endpoint TTLs, X-Cache, /api/cache/stats)
+// - Single-Flight Coalescing of Identical In-Flight Requests (incl. shared streams)
+// - Typed Errors with One Envelope ({ error: { code, message, retryable } })
+// - Structured JSON Logs with Request Ids (X-Request-Id) and Secret Redaction
+// - Prometheus Metrics (/metrics, admin scope): traffic, latency, cache, queue, rotations, errors
+// - Liveness/Readiness Probes (/livez, /readyz) and Graceful Shutdown on SIGTERM/SIGINT
+// - Validated Configuration from Env Vars and an Optional JSON File (/api/admin/config)
+// - Tool / Function Calling on /api/chat (tools, tool_choice, tool_calls, role "tool" results)
 
 const express = require('express');
 const cors = require('cors');
 const puppeteerCore = require('puppeteer');
 const path = require('path');
+const crypto = require('crypto');
 const { connect } = require('puppeteer-real-browser');
-const fs = require('fs').promises;
-const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { createMockProvider } = require('./mock-provider');
+const { PersistentStore } = require('./store');
+const { TabPool } = require('./tab-pool');
+const { StreamBridge, installPageBridge, BRIDGE_BINDING, HIGH_WATER_MARK } = require('./stream-bridge');
+const { installPageHelpers, HELPERS_VERSION } = require('./page-helpers');
+const { ResponseCache } = require('./response-cache');
+const { ApiError, classifyError, classifyUpstream, markUpstream } = require('./errors');
+const { createLogger, runWithRequestId, bindRequest, detachRequest } = require('./logger');
+const { MetricsRegistry } = require('./metrics');
+const { loadConfig, redactConfig, parseTokenKeys, ConfigError } = require('./config');
+
+// One logger per component; LOG_LEVEL and LOG_FORMAT are read by logger.js
+const log = createLogger('Server');
+const httpLog = createLogger('HTTP');
+const authLog = createLogger('Auth');
+const auditLog = createLogger('Audit');
+const tempMailLog = createLogger('TempMail');
+const pageLog = createLogger('Page');
+const poolLog = createLogger('Pool');
+const cancelLog = createLogger('Cancel');
+const queueLog = createLogger('Queue');
+const modelsLog = createLogger('Models');
+const streamLog = createLogger('Stream');
+const usageLog = createLogger('Usage');
+const chatLog = createLogger('Chat');
+const imageLog = createLogger('Image');
+const videoLog = createLogger('Video');
+const ttsLog = createLogger('TTS');
+const s2sLog = createLogger('S2S');
+const openAILog = createLogger('OpenAI');
+const anthropicLog = createLogger('Anthropic');
+const sessionLog = createLogger('Session');
+const extractLog = createLogger('Extract');
+
+// Settings come from config.js (env vars over an optional CONFIG_FILE), checked
+// before anything starts: a bad value stops the server with every problem listed
+let loadedConfig;
+try {
+    loadedConfig = loadConfig();
+} catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    log.error('Invalid configuration', { problems: e.problems });
+    process.exit(1);
+}
+const { config, sources: configSources, file: configFile } = loadedConfig;
+if (configFile) log.info(`Configuration file: ${configFile}`);
 
-// Persistent Storage Manager
-class PersistentStore {
-    constructor(filePath) {
-        this.filePath = filePath;
-        this.data = { chats: [], tokens: [], lastToken: null };
-        this.loadSync();
-    }
+// Model used by each endpoint family when the request doesn't name one
+const DEFAULT_MODELS = config.models;
 
-    loadSync() {
-        try {
-            if (fsSync.existsSync(this.filePath)) {
-                this.data = JSON.parse(fsSync.readFileSync(this.filePath, 'utf8'));
-            }
-        } catch (e) {
-            console.warn('[Store] Load failed, using defaults:', e.message);
-        }
+// Chats & tokens live in SQLite; an old chat_store.json is imported on first start.
+// TOKEN_ENCRYPTION_KEYS ("id:base64key,...", current first) encrypts Puter tokens at rest.
+const chatStore = new PersistentStore(config.store.path, {
+    legacyJsonPath: config.store.legacyJsonPath,
+    tokenKeys: parseTokenKeys(config.auth.tokenEncryptionKeys)
+});
+
+const app = express();
+const PORT = config.server.port;
+const RENDER_URL = config.server.publicUrl || `http://localhost:${PORT}`;
+
+// Response Cache for identical requests.
+// CACHE_TTL: default TTL in seconds (chat uses it); CACHE_TTLS: per-endpoint overrides
+// as JSON, e.g. {"chat":300,"image":3600,"search":0} (0 = don't cache); CACHE_MAX_MB: size budget.
+const CACHE_TTLS = {
+    image: 60 * 60,
+    search: 10 * 60,
+    ...config.cache.ttls
+};
+const responseCache = new ResponseCache({
+    maxBytes: Math.floor(config.cache.maxMb * 1024 * 1024),
+    defaultTtl: config.cache.ttlSeconds * 1000,
+    ttls: Object.fromEntries(Object.entries(CACHE_TTLS).map(([endpoint, seconds]) => [endpoint, Number(seconds) * 1000]))
+});
+
+// What the client's Cache-Control allows: no-cache skips the lookup but stores
+// the fresh answer, no-store does neither
+function cacheDirectives(req) {
+    const header = String(req.headers['cache-control'] || '').toLowerCase();
+    const noStore = header.includes('no-store');
+    return { read: !noStore && !header.includes('no-cache'), write: !noStore };
+}
+
+// Looks inputs up for endpoint and reports the outcome in X-Cache (HIT, MISS or
+// BYPASS). Returns { key, data } on a hit, { key } otherwise; pass the key to
+// writeCache, and to responseCache.share to coalesce with identical requests.
+function readCache(req, res, endpoint, inputs) {
+    const key = responseCache.key(endpoint, inputs);
+    if (!responseCache.enabled(endpoint)) return { key };
+    if (!cacheDirectives(req).read) {
+        responseCache.bypass(endpoint);
+        res.setHeader('X-Cache', 'BYPASS');
+        return { key };
     }
+    const hit = responseCache.get(endpoint, key);
+    res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+    if (!hit) return { key };
+    res.setHeader('Age', String(Math.floor(hit.ageMs / 1000)));
+    return { key, data: hit.data };
+}
 
-    async save() {
-        try {
-            await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
-        } catch (e) {
-            console.error('[Store] Save failed:', e.message);
-        }
+function writeCache(req, endpoint, key, data) {
+    if (key && cacheDirectives(req).write) responseCache.set(endpoint, key, data);
+}
+
+// Answers with the error envelope { error: { code, message, retryable } }.
+// err: anything thrown (it gets classified), or an error code plus message.
+// Every error response notes its code in res.locals.errorCode (see rateLimit).
+function sendError(res, err, message) {
+    const error = typeof err === 'string' ? new ApiError(err, message) : classifyError(err);
+    res.locals.errorCode = error.code;
+    if (error.code === 'queue_full') res.setHeader('Retry-After', String(QUEUE_RETRY_AFTER));
+    res.status(error.status).json({ error: error.toJSON() });
+    return error;
+}
+
+// Middleware
+// CORS_ORIGINS: comma-separated allow-list; unset keeps the old allow-everything behaviour
+const CORS_ORIGINS = config.server.corsOrigins;
+
+// Request ids: the client's X-Request-Id when it sends a usable one, else a new
+// uuid. Echoed back, and on every log line written while serving the request.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = Date.now();
+    res.on('close', () => {
+        const durationMs = Date.now() - startedAt;
+        const status = res.writableFinished ? res.statusCode : 'aborted';
+        // Routes that call a model name it in res.locals.model
+        const route = routeLabel(req);
+        httpRequests.inc({ method: req.method, route, status });
+        httpDuration.observe({ method: req.method, route, model: modelLabel(res.locals.model) }, durationMs / 1000);
+
+        // Health checks, scrapes and static files are only interesting when debugging
+        const level = req.path === '/api/health' || !/^\/(api|v1)\//.test(req.path) ? 'debug' : 'info';
+        httpLog.log(level, `${req.method} ${req.originalUrl} ${status}`, {
+            requestId: req.id,
+            status: res.statusCode,
+            durationMs,
+            keyId: req.apiKey?.id
+        });
+    });
+    runWithRequestId(req.id, next);
+});
+
+// Once shutdown has begun, new work is turned away (the probes still answer)
+app.use((req, res, next) => {
+    if (!shutdownState.started) return next();
+    res.setHeader('Connection', 'close');
+    if (req.path === '/livez' || req.path === '/readyz') return next();
+    sendError(res, 'shutting_down', 'Server is shutting down; retry on another instance');
+});
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : '*' }));
+app.use(express.json({ limit: config.server.bodyLimit }));
+// The body parser calls next() from the request stream's callbacks, outside the
+// request's context: enter it again for everything after
+app.use((req, res, next) => runWithRequestId(req.id, next));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Request compression for faster responses
+app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    next();
+});
+
+// Logs why a route failed. A client that went away isn't a failure: it gets
+// an info line without the stack (the scheduler already counts cancellations).
+function logRequestError(logger, err) {
+    if (classifyError(err).code === 'cancelled') logger.info('Request cancelled by client');
+    else logger.error('Request failed', { err });
+}
+
+// =====================
+// Authentication
+// =====================
+
+// What a key may do. `admin` implies every other scope.
+const API_SCOPES = ['chat', 'media', 'chats:read', 'chats:write', 'admin'];
+
+// ADMIN_API_KEY bootstraps access: it is never stored and always has every scope.
+// Use it to issue real keys through POST /api/admin/keys.
+const ADMIN_API_KEY = config.auth.adminApiKey;
+const AUTH_DISABLED = config.auth.disabled;
+
+if (AUTH_DISABLED) {
+    authLog.warn('AUTH_DISABLED=true - every route is open to anyone');
+} else if (!ADMIN_API_KEY && chatStore.listApiKeys().every(k => k.revokedAt)) {
+    authLog.warn('No API keys exist and ADMIN_API_KEY is not set - all protected routes will answer 401');
+}
+
+// Key from "Authorization: Bearer <key>" (openai SDK) or "X-API-Key" (anthropic SDK)
+function getRequestApiKey(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.headers['x-api-key'] || null;
+}
+
+function isAdminKey(key) {
+    if (!ADMIN_API_KEY) return false;
+    const a = crypto.createHash('sha256').update(key).digest();
+    const b = crypto.createHash('sha256').update(ADMIN_API_KEY).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Resolves the caller's key onto req.apiKey, or answers 401
+function authenticate(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.apiKey = { id: 'anonymous', name: 'auth disabled', scopes: ['admin'] };
+        return next();
     }
 
-    getAllChats() { return this.data.chats; }
-    
-    createChat(title, model) {
-        const chat = {
-            id: Date.now().toString(),
-            title: title || 'New Chat',
-            model: model || 'gemini-2.0-flash',
-            createdAt: new Date().toISOString(),
-            messages: []
-        };
-        this.data.chats.push(chat);
-        this.save();
-        return chat;
+    const key = getRequestApiKey(req);
+    if (!key) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return sendError(res, 'unauthorized', 'API key required');
     }
 
-    getChat(id) {
-        return this.data.chats.find(c => c.id === id);
+    if (isAdminKey(key)) {
+        req.apiKey = { id: 'bootstrap-admin', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+        return next();
     }
 
-    addMessage(chatId, role, content) {
-        const chat = this.getChat(chatId);
-        if (chat) {
-            chat.messages.push({ role, content, timestamp: new Date().toISOString() });
-            this.save();
-        }
+    const apiKey = chatStore.findApiKey(key);
+    if (!apiKey) {
+        res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return sendError(res, 'unauthorized', 'Invalid API key');
     }
 
-    saveToken(token, userId = 'default') {
-        if (!token) return;
-        this.data.lastToken = token;
-        const existing = this.data.tokens.find(t => t.userId === userId);
-        if (existing) {
-            existing.token = token;
-            existing.updatedAt = new Date().toISOString();
-        } else {
-            this.data.tokens.push({ userId, token, createdAt: new Date().toISOString() });
+    chatStore.touchApiKey(apiKey.id);
+    req.apiKey = apiKey;
+    next();
+}
+
+// authenticate + the key must carry `scope` (or admin). No scope = any valid key.
+function requireScope(scope = null) {
+    return (req, res, next) => authenticate(req, res, () => {
+        const { scopes } = req.apiKey;
+        if (scope && !scopes.includes(scope) && !scopes.includes('admin')) {
+            return sendError(res, 'forbidden', `API key lacks the "${scope}" scope`);
         }
-        this.save();
-    }
+        next();
+    });
+}
 
-    getLastToken() {
-        return this.data.lastToken;
-    }
+// =====================
+// Secret Redaction & Audit
+// =====================
+
+// Keeps the first few characters so two values can still be told apart
+function redactSecret(value) {
+    if (value === null || value === undefined || value === '') return value;
+    const str = typeof value === 'string' ? value : JSON.stringify(value);
+    if (str.length <= 12) return '[REDACTED]';
+    return `${str.slice(0, 4)}…[REDACTED ${str.length} chars]`;
 }
 
-const chatStore = new PersistentStore('./chat_store.json');
+// "a=1; b=2" -> "a=[REDACTED]; b=[REDACTED]", cookie names stay readable
+function redactCookies(cookies) {
+    if (!cookies) return cookies;
+    return cookies.split(';').map(c => `${c.split('=')[0].trim()}=[REDACTED]`).join('; ');
+}
 
-const app = express();
-const PORT = process.env.PORT || 3000;
-const RENDER_URL = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
+// Redacts every value of a key/value dump (localStorage and friends)
+function redactValues(values) {
+    if (!values) return values;
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, redactSecret(value)]));
+}
+
+// Records a sensitive admin action in the console and the audit log
+function audit(req, action, detail = null) {
+    const { id, name } = req.apiKey;
+    auditLog.warn(`${action} by ${name}`, { keyId: id, ip: req.ip, detail });
+    chatStore.addAuditEntry({ action, keyId: id, keyName: name, ip: req.ip, detail });
+}
+
+// Secrets only go out unredacted for ?reveal=true from a real admin key (not
+// AUTH_DISABLED), and every reveal is audited. Returns true to reveal, false
+// to redact, or null once it has answered 403.
+function wantsReveal(req, res, action) {
+    if (req.query.reveal !== 'true') return false;
+    if (req.apiKey.id === 'anonymous') {
+        sendError(res, 'forbidden', 'Revealing secrets needs an admin API key (not available with AUTH_DISABLED)');
+        return null;
+    }
+    audit(req, action);
+    return true;
+}
+
+// =====================
+// Rate Limiting & Quotas
+// =====================
 
-// Response Cache for identical requests (5 min TTL)
-const responseCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000;
+// Endpoint families that quotas are counted against
+const QUOTA_FAMILIES = ['chat', 'image', 'video', 'audio'];
+
+// Limits for keys without their own overrides; null means unlimited.
+// DEFAULT_QUOTAS (JSON, same shape as `quotas`) replaces the quota defaults per family.
+const DEFAULT_LIMITS = {
+    rpm: config.limits.rpm,
+    concurrent: config.limits.concurrent,
+    quotas: {
+        chat: { daily: 2000, monthly: 40000 },
+        image: { daily: 100, monthly: 2000 },
+        video: { daily: 10, monthly: 200 },
+        audio: { daily: 500, monthly: 10000 },
+        ...config.limits.quotas
+    }
+};
 
-function getCacheKey(endpoint, body) {
-    return `${endpoint}:${JSON.stringify(body)}`;
+// A key's own overrides on top of the defaults
+function getKeyLimits(apiKey) {
+    const own = apiKey.limits || {};
+    return {
+        rpm: own.rpm !== undefined ? own.rpm : DEFAULT_LIMITS.rpm,
+        concurrent: own.concurrent !== undefined ? own.concurrent : DEFAULT_LIMITS.concurrent,
+        quotas: Object.fromEntries(QUOTA_FAMILIES.map(f => [f, { ...DEFAULT_LIMITS.quotas[f], ...(own.quotas?.[f] || {}) }]))
+    };
 }
 
-function getFromCache(key) {
-    const cached = responseCache.get(key);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.data;
+// Returns an error message for a malformed limits object, null if it's fine
+function validateLimits(limits) {
+    if (!limits || typeof limits !== 'object') return 'limits must be an object';
+    const isLimit = (v) => v === undefined || v === null || (Number.isInteger(v) && v >= 0);
+    if (!isLimit(limits.rpm)) return 'limits.rpm must be a non-negative integer or null';
+    if (!isLimit(limits.concurrent)) return 'limits.concurrent must be a non-negative integer or null';
+    for (const [family, quota] of Object.entries(limits.quotas || {})) {
+        if (!QUOTA_FAMILIES.includes(family)) return `Unknown quota family "${family}"`;
+        if (!isLimit(quota?.daily) || !isLimit(quota?.monthly)) {
+            return `limits.quotas.${family} daily/monthly must be non-negative integers or null`;
+        }
     }
-    responseCache.delete(key);
     return null;
 }
 
-function setCache(key, data) {
-    responseCache.set(key, { data, timestamp: Date.now() });
-    // Auto-cleanup old entries
-    if (responseCache.size > 100) {
-        const oldestKey = responseCache.keys().next().value;
-        responseCache.delete(oldestKey);
+// Current UTC quota periods and when they roll over
+function getQuotaPeriods(now = new Date()) {
+    return {
+        daily: {
+            period: `day:${now.toISOString().slice(0, 10)}`,
+            resetsAt: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+        },
+        monthly: {
+            period: `month:${now.toISOString().slice(0, 7)}`,
+            resetsAt: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+        }
+    };
+}
+
+// Per-key requests in the current minute and requests in flight (in memory;
+// quotas are the part that has to survive restarts)
+const rateLimitState = new Map();
+
+function getRateState(keyId) {
+    const windowStart = Math.floor(Date.now() / 60000) * 60000;
+    let state = rateLimitState.get(keyId);
+    if (!state) {
+        state = { windowStart, count: 0, active: 0 };
+        rateLimitState.set(keyId, state);
     }
+    if (state.windowStart !== windowStart) {
+        state.windowStart = windowStart;
+        state.count = 0;
+    }
+    return state;
 }
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.static(path.join(__dirname, 'public')));
+function sendRateLimited(res, retryAfterSeconds, message) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(retryAfterSeconds))));
+    sendError(res, 'rate_limited', message);
+}
 
-// Request compression for faster responses
-app.use((req, res, next) => {
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    next();
-});
+const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+// Requests turned away by us rather than answered don't use up a quota
+const REFUNDED_CODES = new Set(['queue_full', 'shutting_down', 'cancelled']);
+
+// Enforces the caller's requests/minute and concurrency limits and, when
+// `family` is given, counts the request against its daily/monthly quota.
+// Goes after requireScope. Responses carry X-RateLimit-* headers either way.
+function rateLimit(family = null) {
+    return (req, res, next) => {
+        const limits = getKeyLimits(req.apiKey);
+        const state = getRateState(req.apiKey.id);
+        const windowResetsAt = state.windowStart + 60000;
+
+        if (limits.rpm !== null) {
+            res.setHeader('X-RateLimit-Limit', String(limits.rpm));
+            res.setHeader('X-RateLimit-Remaining', String(Math.max(0, limits.rpm - state.count - 1)));
+            res.setHeader('X-RateLimit-Reset', String(Math.ceil(windowResetsAt / 1000)));
+            if (state.count >= limits.rpm) {
+                return sendRateLimited(res, (windowResetsAt - Date.now()) / 1000, `Rate limit of ${limits.rpm} requests per minute exceeded`);
+            }
+        }
+        if (limits.concurrent !== null && state.active >= limits.concurrent) {
+            return sendRateLimited(res, 1, `Too many concurrent requests (limit ${limits.concurrent})`);
+        }
+
+        if (family) {
+            const periods = getQuotaPeriods();
+            const quota = limits.quotas[family];
+            const result = chatStore.consumeQuota(req.apiKey.id, family, [
+                { period: periods.daily.period, limit: quota.daily ?? null },
+                { period: periods.monthly.period, limit: quota.monthly ?? null }
+            ]);
+
+            for (const kind of ['daily', 'monthly']) {
+                if (quota[kind] === null || quota[kind] === undefined) continue;
+                const used = result.counts[periods[kind].period];
+                res.setHeader(`X-RateLimit-${capitalize(kind)}-Limit`, String(quota[kind]));
+                res.setHeader(`X-RateLimit-${capitalize(kind)}-Remaining`, String(Math.max(0, quota[kind] - used)));
+                res.setHeader(`X-RateLimit-${capitalize(kind)}-Reset`, String(Math.ceil(periods[kind].resetsAt / 1000)));
+            }
+
+            if (!result.allowed) {
+                const kind = result.exceeded === periods.daily.period ? 'daily' : 'monthly';
+                return sendRateLimited(res, (periods[kind].resetsAt - Date.now()) / 1000,
+                    `${capitalize(kind)} ${family} quota of ${quota[kind]} requests used up`);
+            }
+
+            // The body is only validated by the route: a request it rejects
+            // (400 bad input or unknown model, 404, ...) doesn't count, nor does
+            // one that was queued out, shut out, or left before its answer ended
+            const apiKeyId = req.apiKey.id;
+            res.on('close', () => {
+                const rejected = res.writableFinished && res.statusCode >= 400 && res.statusCode < 429;
+                const cancelled = !res.writableFinished;
+                if (!rejected && !cancelled && !REFUNDED_CODES.has(res.locals.errorCode)) return;
+                try {
+                    chatStore.refundQuota(apiKeyId, family, [periods.daily.period, periods.monthly.period]);
+                } catch (e) {
+                    authLog.error('Quota refund failed', { err: e });
+                }
+            });
+        }
+
+        state.count++;
+        state.active++;
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            state.active--;
+        };
+        res.on('finish', release);
+        res.on('close', release);
+        next();
+    };
+}
 
 // PREVENT CRASHES: Global Error Handlers with Recovery
 process.on('uncaughtException', (err) => {
-    console.error('[CRITICAL] Uncaught Exception:', err);
+    log.error('Uncaught Exception', { err });
     // Attempt recovery if pool exists
     if (pool && pool.primary && !pool.primary.isReady) {
-        console.log('[Recovery] Attempting to restart primary session...');
-        pool.forceRotate().catch(e => console.error('[Recovery] Failed:', e));
+        log.info('Attempting to restart primary session...');
+        pool.forceRotate('crash').catch(e => log.error('Primary session restart failed', { err: e }));
     }
 });
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('[CRITICAL] Unhandled Rejection:', reason);
+    log.error('Unhandled Rejection', { err: reason });
 });
 
 // Keep-alive ping
-const PING_INTERVAL = 90 * 1000;
+const PING_INTERVAL = config.server.keepAliveIntervalMs;
+let keepAliveTimer = null;
 function startKeepAlive() {
-    setInterval(() => {
+    keepAliveTimer = setInterval(() => {
         try {
             const http = RENDER_URL.startsWith('https') ? require('https') : require('http');
-            console.log('[KeepAlive] Pinging self...');
+            log.debug('Pinging self...');
             http.get(`${RENDER_URL}/api/health`, (res) => { }).on('error', () => { });
         } catch (e) { }
     }, PING_INTERVAL);
@@ -172,7 +532,7 @@ class TempMailHelper {
         await this.mailPage.setDefaultNavigationTimeout(60000);
         await this.mailPage.setViewport({ width: 1280, height: 720 });
         
-        console.log('[TempMail] Opening 22.do...');
+        tempMailLog.info('Opening 22.do...');
         await this.mailPage.goto('https://22.do/ru/inbox/#/', {
             waitUntil: 'networkidle2',
             timeout: 60000
@@ -207,25 +567,25 @@ class TempMailHelper {
                             continue;
                         }
                         
-                        console.log(`[TempMail] Raw text from ${selector}: ${rawEmail?.substring(0, 50)}`);
+                        tempMailLog.debug(`Raw text from ${selector}: ${rawEmail?.substring(0, 50)}`);
                         // Extract email using regex
                         const emailMatch = rawEmail?.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,6}/);
                         if (emailMatch) {
                             const extractedEmail = emailMatch[0];
-                            console.log(`[TempMail] Extracted email: ${extractedEmail}`);
+                            tempMailLog.info(`Extracted email: ${extractedEmail}`);
                             
                             // Check if it's gmail.com or googlemail.com
                             if (extractedEmail.toLowerCase().endsWith('@gmail.com') || 
                                 extractedEmail.toLowerCase().endsWith('@googlemail.com')) {
                                 this.email = extractedEmail;
-                                console.log(`[TempMail] ✅ Got valid Gmail address: ${this.email}`);
+                                tempMailLog.info(`Got valid Gmail address: ${this.email}`);
                                 return this.email;
                             } else {
-                                console.log(`[TempMail] ❌ Email is not Gmail (${extractedEmail}), getting new email...`);
+                                tempMailLog.info(`Email is not Gmail (${extractedEmail}), getting new email...`);
                                 
                                 // Try refreshing page to get new email instead of clicking button
                                 await this.mailPage.reload({ waitUntil: 'networkidle2' });
-                                console.log('[TempMail] Page reloaded, waiting for new email...');
+                                tempMailLog.info('Page reloaded, waiting for new email...');
                                 await new Promise(r => setTimeout(r, 4000));
                                 
                                 // Also try clicking change button as fallback
@@ -249,7 +609,7 @@ class TempMailHelper {
                                         }
                                         return 'No change button found';
                                     });
-                                    console.log(`[TempMail] ${clicked}`);
+                                    tempMailLog.info(clicked);
                                 } catch (e) {}
                                 
                                 break; // Break inner loop and try again
@@ -261,7 +621,7 @@ class TempMailHelper {
                 // Wait a bit before next check
                 await new Promise(r => setTimeout(r, 2000));
             } catch (e) {
-                console.log(`[TempMail] Attempt ${i + 1} failed: ${e.message}`);
+                tempMailLog.info(`Attempt ${i + 1} failed: ${e.message}`);
                 await new Promise(r => setTimeout(r, 2000));
             }
         }
@@ -270,7 +630,7 @@ class TempMailHelper {
     }
 
     async waitForEmail(subjectKeyword = 'Puter', timeoutMs = 120000) {
-        console.log(`[TempMail] Waiting for email with keyword "${subjectKeyword}"...`);
+        tempMailLog.info(`Waiting for email with keyword "${subjectKeyword}"...`);
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeoutMs) {
@@ -304,7 +664,7 @@ class TempMailHelper {
                     return 'No refresh button found';
                 });
                 
-                console.log(`[TempMail] ${clickedRefresh}`);
+                tempMailLog.info(clickedRefresh);
                 await new Promise(r => setTimeout(r, 3000));
                 
                 // 22.do specific selectors for email rows - try table first
@@ -322,7 +682,7 @@ class TempMailHelper {
                 for (const selector of emailSelectors) {
                     emailRows = await this.mailPage.$$(selector);
                     if (emailRows.length > 0) {
-                        console.log(`[TempMail] Found ${emailRows.length} email rows with "${selector}"`);
+                        tempMailLog.debug(`Found ${emailRows.length} email rows with "${selector}"`);
                         usedSelector = selector;
                         break;
                     }
@@ -333,7 +693,7 @@ class TempMailHelper {
                 for (let i = 0; i < emailRows.length; i++) {
                     const row = emailRows[i];
                     const rowText = await this.mailPage.evaluate(el => el.textContent, row);
-                    console.log(`[TempMail] Row ${i}: ${rowText?.substring(0, 100)}`);
+                    tempMailLog.debug(`Row ${i}: ${rowText?.substring(0, 100)}`);
                     
                     // Check if this is the email we want
                     if (rowText && (
@@ -342,25 +702,25 @@ class TempMailHelper {
                         rowText.toLowerCase().includes('код') ||
                         rowText.includes('Puter')
                     )) {
-                        console.log(`[TempMail] Found target email at row ${i}`);
+                        tempMailLog.info(`Found target email at row ${i}`);
                         
                         // Try to extract code directly from row text first (for preview)
                         const codeMatch = rowText.match(/(\d{3})[-\s]?(\d{3})/);
                         if (codeMatch) {
                             const code = codeMatch[0].replace(/\D/g, '');
-                            console.log(`[TempMail] Got code from row preview: ${code}`);
+                            tempMailLog.info(`Got code from row preview: ${code}`);
                             return code;
                         }
                         
                         // Click to open email
                         await row.click();
-                        console.log(`[TempMail] Clicked row ${i} to open email`);
+                        tempMailLog.info(`Clicked row ${i} to open email`);
                         await new Promise(r => setTimeout(r, 3000));
                         
                         // Get verification code from opened email
                         const code = await this.extractVerificationCode();
                         if (code) {
-                            console.log(`[TempMail] Got verification code: ${code}`);
+                            tempMailLog.info(`Got verification code: ${code}`);
                             return code;
                         }
                         foundEmail = true;
@@ -369,7 +729,7 @@ class TempMailHelper {
                 
                 // If no specific email found but rows exist, try clicking first one
                 if (!foundEmail && emailRows.length > 0) {
-                    console.log(`[TempMail] No target email found, checking all ${emailRows.length} rows...`);
+                    tempMailLog.info(`No target email found, checking all ${emailRows.length} rows...`);
                     
                     for (const row of emailRows) {
                         const rowText = await this.mailPage.evaluate(el => el.textContent, row);
@@ -378,14 +738,14 @@ class TempMailHelper {
                         if (codeMatch) {
                             const code = codeMatch[0].replace(/\D/g, '');
                             if (code.length === 6) {
-                                console.log(`[TempMail] Found code in row: ${code}`);
+                                tempMailLog.info(`Found code in row: ${code}`);
                                 return code;
                             }
                         }
                     }
                 }
             } catch (e) {
-                console.log(`[TempMail] Check error: ${e.message}`);
+                tempMailLog.info(`Check error: ${e.message}`);
             }
             
             await new Promise(r => setTimeout(r, 5000));
@@ -397,7 +757,7 @@ class TempMailHelper {
     async extractVerificationCode() {
         try {
             const pageText = await this.mailPage.evaluate(() => document.body.innerText);
-            console.log(`[TempMail] Page text sample: ${pageText?.substring(0, 200)}`);
+            tempMailLog.debug(`Page text sample: ${pageText?.substring(0, 200)}`);
             
             // Look for 6-digit codes (possibly with hyphens like 317-813)
             // Pattern: 3 digits, optional hyphen/dash/space, 3 digits
@@ -414,7 +774,7 @@ class TempMailHelper {
                     // Extract just the digits, remove any hyphens or spaces
                     let code = match[0].replace(/\D/g, '');
                     if (code.length === 6) {
-                        console.log(`[TempMail] Found verification code: ${code}`);
+                        tempMailLog.info(`Found verification code: ${code}`);
                         return code;
                     }
                 }
@@ -440,14 +800,14 @@ class TempMailHelper {
                     if (match) {
                         const code = match[0].replace(/\D/g, '');
                         if (code.length === 6) {
-                            console.log(`[TempMail] Found code in element: ${code}`);
+                            tempMailLog.info(`Found code in element: ${code}`);
                             return code;
                         }
                     }
                 }
             }
         } catch (e) {
-            console.log(`[TempMail] Code extraction error: ${e.message}`);
+            tempMailLog.info(`Code extraction error: ${e.message}`);
         }
         return null;
     }
@@ -463,26 +823,46 @@ class TempMailHelper {
 // Browser Session Class
 // =====================
 
+// Tabs each session keeps open (sharing its login) and when to recycle one
+const TAB_POOL_OPTIONS = {
+    size: config.browser.tabsPerSession,
+    maxHeapBytes: config.browser.tabMaxHeapMb * 1024 * 1024,
+    maxLeases: config.browser.tabMaxLeases
+};
+
 class BrowserSession {
     constructor(id, type = 'standby') {
         this.id = id;
         this.type = type; // 'primary' or 'standby'
         this.browser = null;
-        this.page = null;
+        this.page = null; // first tab: login, debug screenshots, token extraction
         this.isReady = false;
         this.status = 'initializing';
         this.createdAt = Date.now();
         this.token = null;
         this.activeRequests = 0; // Reference counting
+        this.log = createLogger('Session', { session: id });
+        this.bridge = new StreamBridge(`Session #${id}`); // incremental output from every tab
+        this.helpers = { checks: 0, injections: 0, lastInjection: null };
+        this.helperVersions = new WeakMap(); // page -> helpers version seen at the last check
+        this.tabs = new TabPool({
+            ...TAB_POOL_OPTIONS,
+            owner: this,
+            label: `Session #${id}`,
+            openTab: () => this.openTab(),
+            onReplace: (oldPage, newPage) => {
+                if (this.page === oldPage) this.page = newPage;
+            }
+        });
     }
 
     async init(existingToken = null) {
-        console.log(`[Session #${this.id}] Launching INCOGNITO (${this.type})...`);
-        const maxRetries = 3;
+        this.log.info(`Launching INCOGNITO (${this.type})...`);
+        const maxRetries = config.browser.launchAttempts;
 
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                let executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+                let executablePath = config.browser.executablePath;
 
                 // Try multiple paths for Chrome/Chromium on Render and local
                 if (!executablePath) {
@@ -507,12 +887,12 @@ class BrowserSession {
                                 const foundPath = execSync(`ls ${pathPattern} 2>/dev/null | head -1`, { encoding: 'utf8' }).trim();
                                 if (foundPath && fsSync.existsSync(foundPath)) {
                                     executablePath = foundPath;
-                                    console.log(`[Session #${this.id}] ✅ Found Chrome at: ${executablePath}`);
+                                    this.log.info(`Found Chrome at: ${executablePath}`);
                                     break;
                                 }
                             } else if (fsSync.existsSync(pathPattern)) {
                                 executablePath = pathPattern;
-                                console.log(`[Session #${this.id}] ✅ Found Chrome at: ${executablePath}`);
+                                this.log.info(`Found Chrome at: ${executablePath}`);
                                 break;
                             }
                         } catch (e) {
@@ -527,9 +907,9 @@ class BrowserSession {
                             if (executablePath && !path.isAbsolute(executablePath)) {
                                 executablePath = path.resolve(process.cwd(), executablePath);
                             }
-                            console.log(`[Session #${this.id}] Using Puppeteer default: ${executablePath}`);
+                            this.log.info(`Using Puppeteer default: ${executablePath}`);
                         } catch (e) {
-                            console.error(`[Session #${this.id}] ⚠️ Puppeteer default failed: ${e.message}`);
+                            this.log.error(`Puppeteer default failed: ${e.message}`);
                         }
                     }
                 }
@@ -538,7 +918,7 @@ class BrowserSession {
                     throw new Error('❌ Chrome executable not found! Install Chrome or set PUPPETEER_EXECUTABLE_PATH');
                 }
 
-                console.log(`[Session #${this.id}] 🚀 Launching Chrome: ${executablePath}`);
+                this.log.info(`Launching Chrome: ${executablePath}`);
 
                 const launchArgs = [
                     '--no-sandbox',
@@ -566,7 +946,7 @@ class BrowserSession {
                     },
                     connectOption: {
                         defaultViewport: { width: 1280, height: 720 },
-                        timeout: 60000
+                        timeout: config.browser.launchTimeoutMs
                     },
                     args: launchArgs,
                     fingerprint: true,
@@ -575,34 +955,41 @@ class BrowserSession {
 
                 this.browser = response.browser;
                 this.page = response.page;
+                // close() ran while Chrome was starting: don't leave it behind
+                if (this.status === 'dead') throw new Error('Session closed while starting');
+                await this.registerHelpers(this.page);
 
-                console.log(`[Session #${this.id}] ✅ Incognito browser launched!`);
+                this.log.info('Incognito browser launched!');
 
                 // Set faster navigation timeout
-                this.page.setDefaultNavigationTimeout(45000);
-                this.page.setDefaultTimeout(30000);
+                this.page.setDefaultNavigationTimeout(config.browser.navigationTimeoutMs);
+                this.page.setDefaultTimeout(config.browser.defaultTimeoutMs);
 
                 await this.page.goto('https://puter.com', {
                     waitUntil: 'domcontentloaded',
-                    timeout: 45000
+                    timeout: config.browser.navigationTimeoutMs
                 });
 
                 // DON'T inject old token - always get fresh one
-                console.log(`[Session #${this.id}] Getting FRESH token (no injection)...`);
+                this.log.info('Getting FRESH token (no injection)...');
 
                 await this.waitForLogin();
                 await this.optimizePage();
 
+                // The login page becomes the first tab; the rest open in the background
+                this.tabs.adopt(this.page);
+                this.tabs.fill().catch(e => this.log.error(`Tab pool error: ${e.message}`));
+
                 return;
 
             } catch (e) {
-                console.error(`[Session #${this.id}] Init Attempt ${attempt}/${maxRetries} Failed: ${e.message}`);
+                this.log.error(`Init Attempt ${attempt}/${maxRetries} Failed: ${e.message}`);
 
                 if (this.browser) await this.browser.close().catch(() => { });
                 this.browser = null;
                 this.page = null;
 
-                if (attempt === maxRetries) {
+                if (attempt === maxRetries || this.status === 'dead') {
                     this.status = 'dead';
                     throw e;
                 }
@@ -613,10 +1000,35 @@ class BrowserSession {
     }
 
 
-    async optimizePage() {
-        if (!this.page) return;
+    // Opens another tab in the login page's browser context, so it shares the
+    // session's cookies and storage, and waits for Puter to pick the login up
+    async openTab() {
+        const page = await this.page.browserContext().newPage();
+        page.setDefaultNavigationTimeout(config.browser.navigationTimeoutMs);
+        page.setDefaultTimeout(config.browser.defaultTimeoutMs);
+
+        try {
+            await this.registerHelpers(page);
+            await page.goto('https://puter.com', { waitUntil: 'domcontentloaded', timeout: config.browser.navigationTimeoutMs });
+            for (let i = 0; ; i++) {
+                const state = await this.getPageStatus(page);
+                if (state.api && state.token) break;
+                if (i === 15) throw new Error('Tab never picked up the session login');
+                await new Promise(r => setTimeout(r, 2000));
+            }
+            await this.optimizePage(page);
+            await this.injectHelpers(page);
+            return page;
+        } catch (e) {
+            await page.close().catch(() => { });
+            throw e;
+        }
+    }
+
+    async optimizePage(page = this.page) {
+        if (!page) return;
         try {
-            console.log(`[Session #${this.id}] Enabling resource blocker (Save RAM Mode)...`);
+            this.log.info('Enabling resource blocker (Save RAM Mode)...');
             // NOTE: setRequestInterception can conflict with some puppeteer-real-browser patches or cloudflare
             // We will rely on launch args for now to be safe.
             /*
@@ -634,18 +1046,18 @@ class BrowserSession {
             });
             */
             // Alternative: Use CDP to block URLs safely
-            const client = await this.page.target().createCDPSession();
+            const client = await page.target().createCDPSession();
             // Disable aggressive resource blocking to allow Puter's multimodal features to work
             await client.send('Network.setBlockedURLs', {
                 urls: ['*.woff', '*.woff2', '*.ttf', '*analytics*', '*doubleclick*']
             });
         } catch (e) {
-            console.warn(`[Session #${this.id}] Optimization warning: ${e.message}`);
+            this.log.warn(`Optimization warning: ${e.message}`);
         }
     }
 
     async waitForLogin() {
-        console.log(`[Session #${this.id}] Waiting for Login/Registration...`);
+        this.log.info('Waiting for Login/Registration...');
         let loggedIn = false;
         let registrationAttempted = false;
 
@@ -658,14 +1070,14 @@ class BrowserSession {
             
             // Debug logging
             if (i % 5 === 0) {
-                console.log(`[Session #${this.id}] Check ${i}: API=${state.api}, Token=${state.token ? 'YES' : 'NO'}`);
+                this.log.debug(`Check ${i}: API=${state.api}, Token=${state.token ? 'YES' : 'NO'}`);
             }
             
             if (state.api && state.token) {
                 // Validate token
                 let tokenStr = state.token;
                 if (typeof tokenStr === 'object') {
-                    console.log(`[Session #${this.id}] ⚠️ Token is object:`, tokenStr);
+                    this.log.warn('Token is object', { token: tokenStr });
                     tokenStr = tokenStr.token || tokenStr.value || tokenStr.auth_token || JSON.stringify(tokenStr);
                 }
                 
@@ -692,7 +1104,7 @@ class BrowserSession {
                     return false;
                 });
                 if (clicked) {
-                    console.log(`[Session #${this.id}] Clicked start/guest button`);
+                    this.log.info('Clicked start/guest button');
                     await new Promise(r => setTimeout(r, 3000));
                 }
             } catch (e) { }
@@ -726,7 +1138,7 @@ class BrowserSession {
                     
                     // Log every 3 checks to see what's on the page
                     if (i % 3 === 0) {
-                        console.log(`[Session #${this.id}] Page info:`, JSON.stringify(pageInfo, null, 2));
+                        this.log.debug('Page info', { pageInfo });
                     }
                     
                     const needsSignup = pageInfo.hasCreateFreeAccountBtn || 
@@ -734,25 +1146,25 @@ class BrowserSession {
                                        pageInfo.buttonTexts.some(t => t?.toLowerCase().includes('create'));
                     
                     if (needsSignup) {
-                        console.log(`[Session #${this.id}] REGISTRATION FORM DETECTED! Starting auto-registration...`);
-                        console.log(`[Session #${this.id}] Page details:`, pageInfo);
+                        this.log.info('REGISTRATION FORM DETECTED! Starting auto-registration...');
+                        this.log.info('Page details', { pageInfo });
                         await this.performRegistration();
                         registrationAttempted = true;
                         await new Promise(r => setTimeout(r, 5000));
                     }
                 } catch (e) {
-                    console.log(`[Session #${this.id}] Registration check error: ${e.message}`);
+                    this.log.info(`Registration check error: ${e.message}`);
                 }
             }
         }
 
         if (loggedIn) {
-            console.log(`[Session #${this.id}] READY! ✅`);
-            console.log(`[Session #${this.id}] Full Token: ${this.token}`);
+            this.log.info('READY!');
+            this.log.info('Token captured', { token: this.token });
             this.isReady = true;
             this.status = 'ready';
         } else {
-            console.log(`[Session #${this.id}] Login Timeout.`);
+            this.log.info('Login Timeout.');
             throw new Error('Login Timeout');
         }
     }
@@ -763,25 +1175,25 @@ class BrowserSession {
         try {
             // Get temp email
             let email = await tempMail.init();
-            console.log(`[Session #${this.id}] Raw email from tempmail: ${email}`);
+            this.log.info(`Raw email from tempmail: ${email}`);
             // Clean email - extract just the email address
             if (email && typeof email === 'string') {
                 // Find pattern: something@something.something (up to 4 chars after dot)
                 const emailMatch = email.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,6}/);
                 if (emailMatch) {
                     email = emailMatch[0];
-                    console.log(`[Session #${this.id}] Cleaned email: ${email}`);
+                    this.log.info(`Cleaned email: ${email}`);
                 } else {
-                    console.log(`[Session #${this.id}] Could not clean email, using as-is`);
+                    this.log.info('Could not clean email, using as-is');
                 }
             }
-            console.log(`[Session #${this.id}] Final email to use: ${email}`);
+            this.log.info(`Final email to use: ${email}`);
             
             // Generate random username
             const randomUsername = 'user_' + Math.random().toString(36).substring(2, 10);
             const password = 'login12As_';
             
-            console.log(`[Session #${this.id}] Registering with username: ${randomUsername}`);
+            this.log.info(`Registering with username: ${randomUsername}`);
             
             // Fill registration form
             await this.fillRegistrationForm(randomUsername, email, password);
@@ -799,19 +1211,19 @@ class BrowserSession {
             });
             
             if (isVerificationPage) {
-                console.log(`[Session #${this.id}] 📧 On verification page, waiting for email...`);
+                this.log.info('On verification page, waiting for email...');
                 
                 // Wait for verification email
                 const code = await tempMail.waitForEmail('Puter', 120000);
                 
                 if (code) {
-                    console.log(`[Session #${this.id}] Entering verification code: ${code}`);
+                    this.log.info(`Entering verification code: ${code}`);
                     await this.enterVerificationCode(code);
                     
                     // Wait after entering code
                     await new Promise(r => setTimeout(r, 5000));
                 } else {
-                    console.log(`[Session #${this.id}] No verification code found`);
+                    this.log.info('No verification code found');
                 }
             } else {
                 // Check if there's an error message
@@ -823,17 +1235,17 @@ class BrowserSession {
                 });
                 
                 if (hasError) {
-                    console.log(`[Session #${this.id}] ❌ Email rejected by Puter, need to get new Gmail...`);
+                    this.log.info('Email rejected by Puter, need to get new Gmail...');
                     // Handle error case...
                     await tempMail.close();
                     // ... rest of error handling
                 } else {
                     // Wait for verification email anyway
-                    console.log(`[Session #${this.id}] Waiting for verification email...`);
+                    this.log.info('Waiting for verification email...');
                     const code = await tempMail.waitForEmail('Puter', 120000);
                     
                     if (code) {
-                        console.log(`[Session #${this.id}] Got code, entering: ${code}`);
+                        this.log.info(`Got code, entering: ${code}`);
                         await this.enterVerificationCode(code);
                     }
                 }
@@ -842,14 +1254,14 @@ class BrowserSession {
             await tempMail.close();
             
         } catch (e) {
-            console.error(`[Session #${this.id}] Registration error: ${e.message}`);
+            this.log.error(`Registration error: ${e.message}`);
         }
     }
 
     async fillRegistrationForm(username, email, password) {
         try {
-            console.log(`[Session #${this.id}] Filling registration form...`);
-            console.log(`[Session #${this.id}] Email to fill: ${email}`);
+            this.log.info('Filling registration form...');
+            this.log.info(`Email to fill: ${email}`);
             await new Promise(r => setTimeout(r, 2000));
             
             // Use JavaScript to fill inputs directly - more reliable than typing
@@ -897,7 +1309,7 @@ class BrowserSession {
                 return result;
             }, username, email, password);
             
-            console.log(`[Session #${this.id}] Filled via JS:`, fillResult);
+            this.log.info('Filled via JS', { fillResult });
             await new Promise(r => setTimeout(r, 1000));
             
             // Click "Create Free Account" button
@@ -914,24 +1326,24 @@ class BrowserSession {
             });
             
             if (clicked) {
-                console.log(`[Session #${this.id}] ${clicked}`);
+                this.log.info(clicked);
             }
             
         } catch (e) {
-            console.error(`[Session #${this.id}] Form fill error: ${e.message}`);
+            this.log.error(`Form fill error: ${e.message}`);
         }
     }
 
     async enterVerificationCode(code) {
         try {
-            console.log(`[Session #${this.id}] Entering verification code: ${code}`);
+            this.log.info(`Entering verification code: ${code}`);
             await new Promise(r => setTimeout(r, 2000));
             
             // Clean code - remove any non-digit characters
             const cleanCode = code.replace(/\D/g, '');
             const digits = cleanCode.split('');
             
-            console.log(`[Session #${this.id}] Clean code digits: ${digits.join(', ')}`);
+            this.log.info(`Clean code digits: ${digits.join(', ')}`);
             
             // Method 1: Try to fill 6 separate input fields
             const filled = await this.page.evaluate((codeDigits) => {
@@ -996,7 +1408,7 @@ class BrowserSession {
                 return 'No fields found';
             }, digits);
             
-            console.log(`[Session #${this.id}] Code entry result: ${filled}`);
+            this.log.info(`Code entry result: ${filled}`);
             await new Promise(r => setTimeout(r, 1500));
             
             // Click verify/confirm button
@@ -1013,17 +1425,17 @@ class BrowserSession {
                 return 'No button found';
             });
             
-            console.log(`[Session #${this.id}] Button click: ${clicked}`);
+            this.log.info(`Button click: ${clicked}`);
             
         } catch (e) {
-            console.error(`[Session #${this.id}] Code entry error: ${e.message}`);
+            this.log.error(`Code entry error: ${e.message}`);
         }
     }
 
-    async getPageStatus() {
-        if (!this.page) return { api: false, token: null };
+    async getPageStatus(page = this.page) {
+        if (!page) return { api: false, token: null };
         try {
-            return await this.page.evaluate(() => {
+            return await page.evaluate(() => {
                 let token = null;
                 
                 // Execute puter.authToken as command and get result
@@ -1114,404 +1526,69 @@ class BrowserSession {
                 };
             });
         } catch (e) { 
-            console.error('[getPageStatus] Error:', e);
+            this.log.error('Request failed', { err: e });
             return { api: false, token: null }; 
         }
     }
 
-    async injectHelpers() {
-        if (!this.page) return;
-        await this.page.evaluate(() => {
-            window.puterReady = true;
-
-            // Chat Wrapper (with streaming support)
-            window.doChat = async (prompt, model, stream = false) => {
-                try {
-                    if (!puter?.ai) return { error: 'Puter AI not ready' };
-                    
-                    if (stream) {
-                        // Streaming mode - return async generator
-                        return puter.ai.chat(prompt, { model, stream: true });
-                    } else {
-                        // Normal mode
-                        return await puter.ai.chat(prompt, { model });
-                    }
-                } catch (e) {
-                    // Create a serializable error report
-                    let message = e.message || String(e);
-                    if (message === "[object Object]") {
-                        try { message = JSON.stringify(e); } catch (e2) { message = "Complex Error Object"; }
-                    }
-                    const report = {
-                        message: message,
-                        name: e.name,
-                        stack: e.stack,
-                        string: e.toString()
-                    };
-                    // Collect all other properties
-                    try {
-                        Object.getOwnPropertyNames(e).forEach(key => {
-                            if (!report[key]) report[key] = e[key];
-                        });
-                    } catch (e2) { }
-                    return { error: report };
-                }
-            };
-
-            // Streaming Chat Helper
-            window.doChatStream = async function* (prompt, model) {
-                try {
-                    if (!puter?.ai) {
-                        yield { error: 'Puter AI not ready' };
-                        return;
-                    }
-                    
-                    const stream = await puter.ai.chat(prompt, { model, stream: true });
-                    
-                    // Handle different stream formats
-                    if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
-                        for await (const chunk of stream) {
-                            yield chunk;
-                        }
-                    } else if (stream && typeof stream.getReader === 'function') {
-                        // ReadableStream
-                        const reader = stream.getReader();
-                        const decoder = new TextDecoder();
-                        
-                        while (true) {
-                            const { done, value } = await reader.read();
-                            if (done) break;
-                            
-                            const text = decoder.decode(value, { stream: true });
-                            yield { text };
-                        }
-                    } else {
-                        // Fallback: return as single chunk
-                        yield stream;
-                    }
-                } catch (e) {
-                    yield { error: e.message || String(e) };
-                }
-            };
-
-            // Image Wrapper (Txt2Img & Img2Img) - Enhanced for FLUX & All Models
-            window.doImage = async (prompt, model, inputImage) => {
-                try {
-                    if (!puter?.ai) throw new Error('Puter AI not ready');
-                    const options = { model };
-
-                    if (inputImage) {
-                        options.input_image = inputImage;
-                    }
-
-                    console.log('[Puter] Calling txt2img with model:', model);
-                    const result = await puter.ai.txt2img(prompt, options);
-                    console.log('[Puter] txt2img result type:', typeof result, 'isArray:', Array.isArray(result));
-
-                    if (!result) {
-                        throw new Error('Puter txt2img returned no result (null/undefined)');
-                    }
-
-                    // Helper function to extract URL from any value
-                    const extractUrl = (val) => {
-                        if (!val) return null;
-                        
-                        // Direct string URL
-                        if (typeof val === 'string' && (val.startsWith('http') || val.startsWith('data:'))) {
-                            return val;
-                        }
-                        
-                        // Object with URL properties
-                        if (typeof val === 'object' && !Array.isArray(val)) {
-                            const url = val.url || val.src || val.image_url || val.data || val.output || val.output_url;
-                            if (url && typeof url === 'string') return url;
-                        }
-                        
-                        return null;
-                    };
-
-                    // 1. Direct HTML Element
-                    if (result instanceof HTMLImageElement || result?.tagName === 'IMG') {
-                        console.log('[Puter] Result is IMG element');
-                        return result.src;
-                    }
-
-                    // 2. Direct String (URL or Base64)
-                    const directUrl = extractUrl(result);
-                    if (directUrl) {
-                        console.log('[Puter] Found direct URL');
-                        return directUrl;
-                    }
-
-                    // 3. Blob
-                    if (result instanceof Blob) {
-                        console.log('[Puter] Result is Blob');
-                        return await new Promise(r => {
-                            const reader = new FileReader();
-                            reader.onload = () => r(reader.result);
-                            reader.readAsDataURL(result);
-                        });
-                    }
-
-                    // 4. Array (FLUX returns array!)
-                    if (Array.isArray(result)) {
-                        console.log('[Puter] Result is Array, length:', result.length);
-                        
-                        if (result.length === 0) {
-                            throw new Error('Empty array returned from txt2img');
-                        }
-                        
-                        // Try each item in array
-                        for (let i = 0; i < result.length; i++) {
-                            const item = result[i];
-                            console.log(`[Puter] Checking array[${i}], type:`, typeof item);
-                            
-                            // String URL
-                            const url = extractUrl(item);
-                            if (url) {
-                                console.log(`[Puter] Found URL in array[${i}]`);
-                                return url;
-                            }
-                            
-                            // Blob
-                            if (item instanceof Blob) {
-                                console.log(`[Puter] Found Blob in array[${i}]`);
-                                return await new Promise(r => {
-                                    const reader = new FileReader();
-                                    reader.onload = () => r(reader.result);
-                                    reader.readAsDataURL(item);
-                                });
-                            }
-                            
-                            // Nested array (FLUX sometimes does this!)
-                            if (Array.isArray(item) && item.length > 0) {
-                                console.log(`[Puter] Found nested array[${i}], length:`, item.length);
-                                const nestedUrl = extractUrl(item[0]);
-                                if (nestedUrl) return nestedUrl;
-                            }
-                        }
-                        
-                        // If nothing found, return first item as string
-                        console.warn('[Puter] No URL found in array, returning first item');
-                        return String(result[0]);
-                    }
-
-                    // 5. Object (Gemini/GPT/Other JSON responses)
-                    if (typeof result === 'object') {
-                        console.log('[Puter] Result is Object, keys:', Object.keys(result).join(', '));
-                        
-                        // Check common paths
-                        const possiblePaths = [
-                            result?.url,
-                            result?.src,
-                            result?.data,
-                            result?.result,
-                            result?.image_url,
-                            result?.image,
-                            result?.output,
-                            result?.output_url,
-                            result?.choices?.[0]?.image_url,
-                            result?.choices?.[0]?.url,
-                            result?.choices?.[0]?.message?.content,
-                            result?.message?.content,
-                            result?.message,
-                            result?.images?.[0],
-                            result?.data?.[0]?.url,
-                            result?.data?.[0]
-                        ];
-                        
-                        for (const val of possiblePaths) {
-                            const url = extractUrl(val);
-                            if (url) {
-                                console.log('[Puter] Found URL in object path');
-                                return url;
-                            }
-                        }
-
-                        // Deep search in nested objects
-                        const deepSearch = (obj, depth = 0, path = '') => {
-                            if (depth > 4) return null;
-                            if (!obj || typeof obj !== 'object') return null;
-                            
-                            for (const key in obj) {
-                                const val = obj[key];
-                                const currentPath = path ? `${path}.${key}` : key;
-                                
-                                const url = extractUrl(val);
-                                if (url) {
-                                    console.log(`[Puter] Found URL at path: ${currentPath}`);
-                                    return url;
-                                }
-                                
-                                if (typeof val === 'object' && val !== null) {
-                                    const nested = deepSearch(val, depth + 1, currentPath);
-                                    if (nested) return nested;
-                                }
-                            }
-                            return null;
-                        };
-                        
-                        const deepFound = deepSearch(result);
-                        if (deepFound) return deepFound;
-
-                        console.error('[Puter] Image Extraction Failed. Raw Response:', JSON.stringify(result).substring(0, 1000));
-                        throw new Error(`Cannot extract image URL. Keys: ${Object.keys(result).join(', ')}. Type: ${Array.isArray(result) ? 'Array' : typeof result}. Raw: ${JSON.stringify(result).substring(0, 200)}`);
-                    }
-
-                    // Last resort
-                    console.warn('[Puter] Unknown result type, returning as-is');
-                    return result;
-                    
-                } catch (e) {
-                    console.error('[Puter] doImage Error:', e);
-                    let message = e.message || String(e);
-                    if (message === "[object Object]") {
-                        try { message = JSON.stringify(e); } catch (e2) { message = "Complex Image Error Object"; }
-                    }
-                    return { error: { message: message, stack: e.stack, name: e.name, raw: String(e) } };
-                }
-            };
-
-            // Search Wrapper (Perplexity)
-            window.doSearch = async (prompt) => {
-                if (!puter?.ai) throw new Error('Puter AI not ready');
-                // Using Sonar Reasoning Pro for advanced search
-                return await puter.ai.chat(prompt, { model: 'sonar-reasoning-pro' });
-            };
-
-            // Text-to-Speech Wrapper with Fallbacks
-            window.doTTS = async (text, voice, model) => {
-                const tryTTS = async (v, m, p) => {
-                    console.log(`[Puter] TTS Attempt: Voice=${v || 'default'}, Model=${m || 'default'}, Provider=${p || 'default'}`);
-                    const options = {};
-                    if (p) options.provider = p;
-                    if (v) options.voice = v;
-                    if (m) options.model = m;
-
-                    const result = await puter.ai.txt2speech(text, options);
-
-                    if (result && (result instanceof HTMLAudioElement || result.tagName === 'AUDIO')) return result.src;
-                    if (result instanceof Blob) {
-                        return await new Promise(r => {
-                            const reader = new FileReader();
-                            reader.onload = () => r(reader.result);
-                            reader.readAsDataURL(result);
-                        });
-                    }
-                    return result;
-                };
-
-                try {
-                    // 1. Try ElevenLabs with requested params
-                    return await tryTTS(voice, model || 'eleven_multilingual_v2', 'elevenlabs');
-                } catch (e1) {
-                    console.warn(`[Puter] TTS Attempt 1 Failed: ${e1.message}`);
-                    try {
-                        // 2. Try ElevenLabs Flash (More stable sometimes)
-                        return await tryTTS(voice, 'eleven_flash_v2_5', 'elevenlabs');
-                    } catch (e2) {
-                        console.warn(`[Puter] TTS Attempt 2 Failed: ${e2.message}`);
-                        try {
-                            // 3. Try ElevenLabs Default Rachel
-                            return await tryTTS('21m00Tcm4TlvDq8ikWAM', 'eleven_multilingual_v2', 'elevenlabs');
-                        } catch (e3) {
-                            console.error(`[Puter] All ElevenLabs attempts failed. Final fallback to Puter default...`);
-                            // 4. Final Fallback to Puter Default
-                            return await tryTTS(null, null, null);
-                        }
-                    }
-                }
-            };
-
-            // Speech-to-Text Wrapper (Filesystem Approach)
-            window.doSTT = async (audioDataVal) => {
-                try {
-                    if (!puter?.ai) throw new Error('Puter AI not ready');
-
-                    // Convert Data URI to Blob
-                    const response = await fetch(audioDataVal);
-                    const originalBlob = await response.blob();
-
-                    // Reconstruct blob with MP3 mime type (spoofing for the backend)
-                    const blob = new Blob([originalBlob], { type: 'audio/mpeg' });
-
-                    // Generate temp filename with .mp3 extension
-                    const filename = `~/temp_voice_${Date.now()}.mp3`;
-
-                    // Write to Puter FS
-                    await puter.fs.write(filename, blob);
-
-                    try {
-                        // Transcribe using whisper-1 (best for varied audio formats)
-                        const transcription = await puter.ai.speech2txt(filename, { model: 'whisper-1' });
-
-                        // Delete temp file
-                        await puter.fs.delete(filename).catch(() => { });
+    // Registers the stream bridge and page helpers on a page, once. Chrome
+    // re-runs them on every navigation, before Puter's own scripts.
+    async registerHelpers(page) {
+        this.forwardConsole(page);
+        await this.bridge.attach(page);
+        await page.evaluateOnNewDocument(installPageBridge, BRIDGE_BINDING, HIGH_WATER_MARK);
+        await page.evaluateOnNewDocument(installPageHelpers, HELPERS_VERSION);
+    }
 
-                        return transcription;
-                    } catch (transE) {
-                        // Cleanup on error
-                        await puter.fs.delete(filename).catch(() => { });
-                        throw transE;
-                    }
-                } catch (e) {
-                    throw new Error(e.message || JSON.stringify(e));
-                }
-            };
+    // Logs the page's console output under the request holding its tab. Errors
+    // are mostly puter.com's own, so they come through as warnings.
+    forwardConsole(page) {
+        page.on('console', (message) => {
+            const tab = this.tabs?.tabs.find(t => t.page === page);
+            const level = message.type() === 'error' || message.type() === 'warn' || message.type() === 'warning' ? 'warn' : 'debug';
+            runWithRequestId(tab?.requestId || null, () => {
+                pageLog.log(level, message.text(), { session: this.id, tab: tab?.id ?? null });
+            });
+        });
+    }
 
-            // Voice Conversion Wrapper (Speech-to-Speech)
-            window.doS2S = async (audioDataVal, voice) => {
-                const tryS2S = async (v, m) => {
-                    console.log(`[Puter] S2S Attempt: Voice=${v}, Model=${m}`);
-                    const result = await puter.ai.speech2speech(audioDataVal, {
-                        provider: 'elevenlabs',
-                        voice: v || '21m00Tcm4TlvDq8ikWAM',
-                        model: m || 'eleven_multilingual_sts_v2'
-                    });
-                    if (result instanceof Blob) {
-                        return await new Promise(r => {
-                            const reader = new FileReader();
-                            reader.onload = () => r(reader.result);
-                            reader.readAsDataURL(result);
-                        });
-                    }
-                    return result;
-                };
+    // Makes sure the page runs the current helpers: a version check, and a full
+    // injection only when it fails. Returns whether it had to inject.
+    async injectHelpers(page = this.page) {
+        if (!page) return false;
+        this.helpers.checks++;
+        const version = await page.evaluate(() => window.__helpersVersion || null);
+        this.helperVersions.set(page, version);
+        if (version === HELPERS_VERSION) return false;
+
+        await page.evaluate(installPageBridge, BRIDGE_BINDING, HIGH_WATER_MARK);
+        await page.evaluate(installPageHelpers, HELPERS_VERSION);
+        this.helperVersions.set(page, HELPERS_VERSION);
+        this.helpers.injections++;
+        this.helpers.lastInjection = { at: new Date().toISOString(), found: version };
+        this.log.info(`Injected page helpers v${HELPERS_VERSION}`, { previousVersion: version || null });
+        return true;
+    }
 
-                try {
-                    return await tryS2S(voice, 'eleven_multilingual_sts_v2');
-                } catch (e) {
-                    console.warn(`[Puter] S2S Failed, trying Rachel fallback...`);
-                    return await tryS2S('21m00Tcm4TlvDq8ikWAM', 'eleven_multilingual_sts_v2');
-                }
-            };
-            // Video Wrapper (Txt2Vid)
-            window.doVideo = async (prompt, model) => {
-                try {
-                    if (!puter?.ai) throw new Error('Puter AI not ready');
-                    const options = {
-                        model: model || 'sora-2', // Reverted to Sora-2 per user request
-                        prompt
-                    };
-                    const result = await puter.ai.txt2vid(prompt, options);
-
-                    if (result && (result instanceof HTMLVideoElement || result.tagName === 'VIDEO')) {
-                        return result.src;
-                    }
-                    if (typeof result === 'string') return result;
-                    return result;
-                } catch (e) {
-                    throw new Error(e.message || JSON.stringify(e));
-                }
-            };
-        });
+    helperStatus() {
+        return {
+            version: HELPERS_VERSION,
+            checks: this.helpers.checks,
+            injections: this.helpers.injections,
+            lastInjection: this.helpers.lastInjection,
+            tabs: this.tabs.tabs.map(t => {
+                const version = t.page ? this.helperVersions.get(t.page) ?? null : null;
+                return { id: t.id, version, current: version === HELPERS_VERSION };
+            })
+        };
     }
 
     async close() {
         this.status = 'dead';
         this.isReady = false;
+        this.tabs.closeAll();
         if (this.browser) {
-            console.log(`[Session #${this.id}] Killing browser...`);
+            this.log.info('Killing browser...');
             await this.browser.close().catch(() => { });
         }
     }
@@ -1521,26 +1598,27 @@ class BrowserSession {
 // Session Pool (Manager)
 
 // 6. Video (Optimized)
-app.post('/api/video/generate', async (req, res) => {
+app.post('/api/video/generate', requireScope('media'), rateLimit('video'), async (req, res) => {
     try {
         const { prompt, model } = req.body;
-        console.log(`[Video] Generating: "${prompt.substring(0, 40)}..."`);
+        const modelError = await checkModel(model, 'video');
+        if (modelError) return sendError(res, 'invalid_request', modelError);
+
+        res.locals.model = model || DEFAULT_MODELS.video;
+        videoLog.info(`Generating: "${prompt.substring(0, 40)}..."`);
 
         // Set longer timeout for video generation
-        req.setTimeout(180000); // 3 minutes
+        req.setTimeout(config.video.timeoutMs);
 
-        const result = await safeExecute('Video', async (session) => {
-            return await session.page.evaluate(async (p, m) => window.doVideo(p, m),
-                prompt,
-                model || 'sora-2'
-            );
-        });
+        const result = await safeExecute('Video', async (tab) => {
+            return await provider.video(tab, prompt, model || DEFAULT_MODELS.video);
+        }, queueOptions(req, res));
 
         res.json({ url: result });
 
     } catch (e) {
-        console.error('[Video] Error:', e);
-        res.status(500).json({ error: e.message });
+        logRequestError(videoLog, e);
+        sendError(res, e);
     }
 });
 
@@ -1551,15 +1629,17 @@ app.post('/api/video/generate', async (req, res) => {
 class SessionPool {
     constructor() {
         this.primary = null;
+        this.sessions = new Set(); // every session not yet known dead, including ones still starting
+        this.closed = false;
         this.sessionCounter = 0;
         this.tokenCache = null;
         this.isInitializing = false;
         this.initPromise = null;
         
-        // Request queue system for rotation
-        this.requestQueue = [];
+        // Rotation state (request queueing lives in RequestScheduler)
         this.isRotating = false;
         this.rotationPromise = null;
+        this.rotationsByReason = {}; // reason -> rotations started
         this.autoRotationEnabled = true;
         this.rotationInterval = null;
         
@@ -1568,26 +1648,28 @@ class SessionPool {
     }
     
     startInfiniteRotation() {
-        console.log('[Pool] 🔄 Starting INFINITE account rotation loop...');
+        poolLog.info('Starting INFINITE account rotation loop...');
         
         // Initial session creation
         this.init().then(() => {
-            console.log('[Pool] ✅ First session ready');
+            poolLog.info('First session ready');
             // Don't auto-rotate on token - only rotate when limit errors occur
         }).catch(e => {
-            console.error('[Pool] ❌ Failed to start:', e);
+            poolLog.error('Failed to start', { err: e });
         });
     }
     
-    // Rotate only when called (on limit/quota errors)
-    async rotateOnLimitError() {
+    // Rotate only when called (on limit/quota errors). reason: the error code behind it.
+    async rotateOnLimitError(reason = 'upstream_quota') {
         if (this.isRotating) {
-            console.log('[Pool] ⏳ Rotation already in progress, waiting...');
+            poolLog.info('Rotation already in progress, waiting...', { reason });
             return this.rotationPromise;
         }
         
         this.isRotating = true;
-        console.log('[Pool] 🔒 Limit/quota error - rotating to new account...');
+        this.recordRotation(reason);
+        const startedAt = Date.now();
+        poolLog.warn('Rotating to new account...', { reason, from: this.primary?.id ?? null });
         
         this.rotationPromise = (async () => {
             try {
@@ -1596,19 +1678,19 @@ class SessionPool {
                 
                 // Close old session
                 if (this.primary) {
-                    console.log('[Pool] 🔴 Closing old browser (limit reached)...');
+                    poolLog.info('Closing old browser (limit reached)...');
                     await this.primary.close().catch(() => {});
                     this.primary = null;
                 }
                 
                 // Create new session with new account
-                console.log('[Pool] 🟢 Creating NEW browser with NEW account...');
+                poolLog.info('Creating NEW browser with NEW account...');
                 this.primary = await this.createSession('primary');
                 
-                console.log('[Pool] ✅ Rotation complete! New account ready.');
+                poolLog.info('Rotation complete! New account ready.', { reason, session: this.primary.id, durationMs: Date.now() - startedAt });
                 
             } catch (e) {
-                console.error('[Pool] ❌ Rotation failed:', e);
+                poolLog.error('Rotation failed', { reason, err: e });
             } finally {
                 this.isRotating = false;
                 this.rotationPromise = null;
@@ -1618,17 +1700,31 @@ class SessionPool {
         return this.rotationPromise;
     }
 
-    async init() {
-        if (this.isInitializing) return this.initPromise;
+    // Shutdown: closes every browser, including one still logging in, and
+    // refuses to start new ones
+    async close() {
+        this.closed = true;
+        const sessions = [...this.sessions];
+        this.sessions.clear();
+        await Promise.all(sessions.map(s => s.close().catch(() => { })));
+        this.primary = null;
+    }
+
+    recordRotation(reason) {
+        this.rotationsByReason[reason] = (this.rotationsByReason[reason] || 0) + 1;
+    }
+
+    async init() {
+        if (this.isInitializing) return this.initPromise;
         
         this.isInitializing = true;
         this.initPromise = (async () => {
-            console.log('[Pool] Initializing Ultra-Fast Browser System...');
+            poolLog.info('Initializing Ultra-Fast Browser System...');
             try {
                 this.primary = await this.createSession('primary');
-                console.log('[Pool] ✅ System Ready!');
+                poolLog.info('System Ready!');
             } catch (e) {
-                console.error('[Pool] Init failed:', e.message);
+                poolLog.error('Init failed', { error: e.message });
                 this.isInitializing = false;
                 throw e;
             }
@@ -1639,60 +1735,62 @@ class SessionPool {
     }
 
     async createSession(type) {
+        if (this.closed) throw new ApiError('shutting_down', 'Server is shutting down');
         this.sessionCounter++;
         const s = new BrowserSession(this.sessionCounter, type);
+        for (const old of this.sessions) if (old.status === 'dead') this.sessions.delete(old);
+        this.sessions.add(s);
 
         try {
-            // ALWAYS create fresh session, NO token injection
-            await s.init(null);
+            // ALWAYS create fresh session, NO token injection. The browser outlives
+            // the request that triggered the rotation, so its logs aren't that request's.
+            await detachRequest(() => s.init(null));
             if (s.token) {
-                console.log(`[Pool] ✅ NEW Token captured from Session #${s.id}:`);
-                console.log(`[Pool] ${s.token}`);
+                poolLog.info(`NEW Token captured from Session #${s.id}`, { token: s.token });
                 this.updateToken(s.token);
             }
             return s;
         } catch (e) {
-            console.error(`[Pool] Session #${s.id} failed:`, e.message);
+            poolLog.error(`Session #${s.id} failed`, { error: e.message });
             throw e;
         }
     }
 
     updateToken(token) {
         if (!token) {
-            console.log('[Pool] ⚠️ Empty token received, ignoring...');
+            poolLog.info('Empty token received, ignoring...');
             return;
         }
         
         // Convert to string if it's an object
         let tokenStr = token;
         if (typeof token === 'object') {
-            console.log('[Pool] ⚠️ Token is object, extracting string...');
+            poolLog.info('Token is object, extracting string...');
             tokenStr = token.token || token.value || token.auth_token || JSON.stringify(token);
         }
         
         // Validate token
         if (typeof tokenStr !== 'string' || tokenStr.length < 20 || tokenStr === '{}' || tokenStr === 'null' || tokenStr === 'undefined') {
-            console.log('[Pool] ⚠️ Invalid token format, ignoring:', tokenStr);
+            poolLog.warn('Invalid token format, ignoring', { token: tokenStr });
             return;
         }
         
         // Check if token actually changed
         if (this.tokenCache && this.tokenCache === tokenStr) {
-            console.log('[Pool] ⚠️ Same token detected, ignoring...');
+            poolLog.info('Same token detected, ignoring...');
             return;
         }
         
         this.tokenCache = tokenStr;
         chatStore.saveToken(tokenStr);
         
-        console.log('[Pool] 💾 NEW Token saved to persistent storage');
-        console.log('[Pool] Token:', tokenStr);
+        poolLog.info('NEW Token saved to persistent storage', { token: tokenStr });
     }
 
     async getSession() {
         // If rotation is in progress, wait for it
         if (this.isRotating && this.rotationPromise) {
-            console.log('[Pool] ⏳ Waiting for rotation to complete...');
+            poolLog.info('Waiting for rotation to complete...');
             await this.rotationPromise;
         }
         
@@ -1704,75 +1802,506 @@ class SessionPool {
         if (this.primary && this.primary.isReady) return this.primary;
         
         // Auto-recovery attempt
-        console.warn('[Pool] Primary not ready, attempting recovery...');
-        await this.forceRotate();
+        poolLog.warn('Primary not ready, attempting recovery...');
+        await this.forceRotate('recovery');
         
         if (this.primary && this.primary.isReady) return this.primary;
-        throw new Error('Session unavailable after recovery attempt');
+        throw new ApiError('session_unavailable', 'Session unavailable after recovery attempt');
     }
 
-    async forceRotate() {
-        console.warn('[Pool] ⚠️ FORCE ROTATION - Opening NEW INCOGNITO Browser ⚠️');
-        
+    // reason: the error code, or what else asked for it (recovery, crash, manual)
+    async forceRotate(reason = 'manual') {
         const oldSession = this.primary;
+        const startedAt = Date.now();
+        this.recordRotation(reason);
+        poolLog.warn('FORCE ROTATION - Opening NEW INCOGNITO Browser', { reason, from: oldSession?.id ?? null });
         
         try {
             // FIRST: Close old session to free memory
             if (oldSession) {
-                console.log('[Pool] 🔴 Closing old session FIRST to free memory...');
+                poolLog.info('Closing old session FIRST to free memory...');
                 await oldSession.close().catch((e) => {
-                    console.warn('[Pool] Old session close warning:', e.message);
+                    poolLog.warn('Old session close warning', { error: e.message });
                 });
-                console.log('[Pool] ✅ Old session closed, memory freed');
+                poolLog.info('Old session closed, memory freed');
             }
             
             // SECOND: Create FRESH session with NO token (new incognito)
-            console.log('[Pool] 🟢 Creating NEW session...');
+            poolLog.info('Creating NEW session...');
             this.primary = await this.createSession('primary');
             
-            console.log('[Pool] ✅ Rotation complete with NEW token!');
+            poolLog.info('Rotation complete with NEW token!', { reason, session: this.primary.id, durationMs: Date.now() - startedAt });
             return this.primary;
             
         } catch (e) {
-            console.error('[Pool] Rotation failed:', e.message);
+            poolLog.error('Rotation failed', { reason, error: e.message });
             // Don't restore old session - we want fresh one
             throw e;
         }
     }
 }
 
-const pool = new SessionPool();
+// =====================
+// AI Providers
+// =====================
+
+// Every AI call goes through a provider so safeExecute and the routes don't care
+// what sits behind them. A provider brings its own session pool (same surface
+// as SessionPool) and these methods, each taking the tab safeExecute leased
+// (tab.page, tab.session) and resolving with the raw result shapes the page
+// helpers return:
+//   chat, chatStream, image, search, tts, stt, s2s, video, listModels
+// chatStream(tab, input, model, options, onChunk) resolves with { success: true },
+// { error } or { cancelled: true } once the last chunk has been handled.
+
+// Cancels the in-page call callId as soon as the lease's signal fires.
+// Returns a function that stops listening.
+function cancelInPageOnAbort(tab, callId) {
+    const { page, signal } = tab;
+    if (!signal) return () => { };
+    const onAbort = () => {
+        cancelLog.info(`Cancelling ${callId} in tab #${tab.id}`);
+        page.evaluate((id) => window.__cancelCall?.(id), callId).catch(() => { });
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+// Runs window[helper](...args) in the leased tab, abandoning it (and aborting
+// its network requests) if the client goes away first
+async function evaluateCancellable(tab, helper, ...args) {
+    if (tab.signal?.aborted) throw cancelledError();
+    const callId = `call_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const stopListening = cancelInPageOnAbort(tab, callId);
+    try {
+        return await tab.page.evaluate((id, h, a) => window.__runCall(id, h, a), callId, helper, args);
+    } catch (e) {
+        throw tab.signal?.aborted ? cancelledError() : markUpstream(e);
+    } finally {
+        stopListening();
+    }
+}
+
+// Runs the in-page generator window[helper](...args) and feeds what it yields
+// to onData over the session's stream bridge. Resolves with { success: true },
+// { error } or { cancelled: true } once the stream has ended.
+async function streamFromPage(tab, helper, args, onData) {
+    if (tab.signal?.aborted) return { cancelled: true };
+    const stream = tab.session.bridge.open(onData);
+    const stopListening = cancelInPageOnAbort(tab, stream.id);
+    try {
+        // The page has delivered its end or error frame by the time this resolves
+        await tab.page.evaluate((id, h, a) => window.__streamCall(id, h, a), stream.id, helper, args);
+        stream.close({ error: 'Stream ended without an end frame' });
+        const result = await stream.finished;
+        return tab.signal?.aborted ? { cancelled: true } : result;
+    } catch (e) {
+        // Cancelling can also tear down the evaluate itself (e.g. the tab was recycled)
+        if (tab.signal?.aborted) return { cancelled: true };
+        throw markUpstream(e);
+    } finally {
+        stopListening();
+        stream.close();
+    }
+}
+
+function createBrowserProvider() {
+    return {
+        name: 'browser',
+        pool: new SessionPool(),
+
+        chat: (tab, input, model, options = {}) => evaluateCancellable(tab, 'doChat', input, model, false, options),
+
+        // Chunks arrive through the session's stream bridge
+        chatStream: (tab, input, model, options, onChunk) =>
+            streamFromPage(tab, 'doChatStream', [input, model, options], onChunk),
+
+        image: (tab, prompt, model, inputImage) => evaluateCancellable(tab, 'doImage', prompt, model, inputImage),
+        search: (tab, prompt, model) => evaluateCancellable(tab, 'doSearch', prompt, model),
+        tts: (tab, text, voice) => evaluateCancellable(tab, 'doTTS', text, voice, null, config.tts.fallbacks),
+        stt: (tab, audio) => evaluateCancellable(tab, 'doSTT', audio),
+        s2s: (tab, audio, voice) => evaluateCancellable(tab, 'doS2S', audio, voice),
+        video: (tab, prompt, model) => evaluateCancellable(tab, 'doVideo', prompt, model),
+        listModels: (tab) => evaluateCancellable(tab, 'doListModels')
+    };
+}
+
+// AI_PROVIDER=mock runs the whole HTTP surface without Chrome or network access
+function createProvider(name = 'browser') {
+    if (name === 'browser') return createBrowserProvider();
+    if (name === 'mock') {
+        return createMockProvider({
+            scriptPath: config.provider.mockScript,
+            latencyMs: config.provider.mockLatencyMs,
+            chunkDelayMs: config.provider.mockChunkDelayMs,
+            tabsPerSession: TAB_POOL_OPTIONS.size
+        });
+    }
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected "browser" or "mock")`);
+}
+
+const provider = createProvider(config.provider.name);
+const pool = provider.pool;
+log.info(`Using "${provider.name}" provider`);
+
+// =====================
+// Request Scheduler
+// =====================
+
+// Every browser call waits its turn here instead of piling onto the page at
+// once. Slots are handed out by priority (lower runs first), then arrival.
+// Keyed by the safeExecute action name; QUEUE_PRIORITIES (JSON) overrides.
+const QUEUE_PRIORITIES = {
+    Chat: 0,
+    Stream: 0,
+    Models: 1,
+    Search: 1,
+    TTS: 2,
+    STT: 2,
+    S2S: 2,
+    Image: 3,
+    Video: 4,
+    ...config.queue.priorities
+};
+const QUEUE_RETRY_AFTER = config.queue.retryAfterSeconds; // suggested to clients turned away by a full queue
+
+class RequestScheduler {
+    constructor({ concurrencyPerSession = 2, maxDepth = 50, priorities = {} } = {}) {
+        this.concurrencyPerSession = concurrencyPerSession;
+        this.maxDepth = maxDepth;
+        this.priorities = priorities;
+        this.running = 0;
+        this.queue = [];
+        this.seq = 0;
+        this.stats = { started: 0, rejected: 0, totalWaitMs: 0, maxWaitMs: 0, cancelled: { queued: 0, running: 0 } };
+    }
+
+    // Everything is served by the pool's primary session
+    get capacity() {
+        return this.concurrencyPerSession;
+    }
+
+    // Whether a new request would be turned away right now
+    isFull() {
+        return this.running >= this.capacity && this.queue.length >= this.maxDepth;
+    }
+
+    // Runs task() once a slot is free. handlers (all optional):
+    //   onQueued({ position, depth }) - on joining the queue and whenever the position changes
+    //   onStart({ position, waitMs }) - when the task gets its slot (position = where it joined, 0 if it never waited)
+    //   signal - AbortSignal; aborting it while queued drops the request (code cancelled)
+    // Rejects with code queue_full when maxDepth requests are already waiting.
+    schedule(actionName, handlers, task) {
+        const signal = handlers?.signal;
+        if (signal?.aborted) {
+            this.recordCancellation(actionName, 'queued');
+            return Promise.reject(cancelledError());
+        }
+
+        const entry = {
+            actionName,
+            priority: this.priorities[actionName] ?? Math.max(...Object.values(this.priorities), 0),
+            seq: this.seq++,
+            enqueuedAt: Date.now(),
+            handlers: handlers || {},
+            task: bindRequest(task), // a queued task is started by whichever call finishes first
+            position: 0,
+            joinedAt: 0
+        };
+
+        if (this.running < this.capacity && !this.queue.length) return this.run(entry);
+
+        if (this.queue.length >= this.maxDepth) {
+            this.stats.rejected++;
+            queueLog.warn(`Full (${this.queue.length} waiting), turning away ${actionName}`);
+            return Promise.reject(new ApiError('queue_full', `Request queue is full (${this.maxDepth} waiting). Try again shortly.`));
+        }
+
+        return new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+            const index = this.queue.findIndex(e => e.priority > entry.priority);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+            this.reportPositions();
+            queueLog.debug(`${actionName} queued at #${entry.position} (${this.running}/${this.capacity} running)`);
+
+            signal?.addEventListener('abort', () => {
+                const i = this.queue.indexOf(entry);
+                if (i === -1) return; // already running
+                this.queue.splice(i, 1);
+                this.recordCancellation(actionName, 'queued');
+                reject(cancelledError());
+                this.reportPositions();
+            }, { once: true });
+        });
+    }
+
+    // Resolves true once nothing is queued or running, or false when timeoutMs
+    // passes first
+    async drain(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.running || this.queue.length) {
+            if (Date.now() >= deadline) return false;
+            await new Promise(r => setTimeout(r, 100));
+        }
+        return true;
+    }
+
+    // Fails everything still waiting with error. Returns how many there were.
+    rejectQueued(error) {
+        const queued = this.queue.splice(0);
+        for (const entry of queued) entry.reject(error);
+        return queued.length;
+    }
+
+    // where: 'queued' (dropped before it ran) or 'running' (abandoned mid-call)
+    recordCancellation(actionName, where) {
+        this.stats.cancelled[where]++;
+        queueLog.info(`${actionName} cancelled while ${where}`);
+    }
+
+    async run(entry) {
+        this.running++;
+        const waitMs = Date.now() - entry.enqueuedAt;
+        this.stats.started++;
+        this.stats.totalWaitMs += waitMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+        try {
+            entry.handlers.onStart?.({ position: entry.joinedAt, waitMs });
+        } catch (e) { }
+
+        try {
+            return await entry.task();
+        } catch (e) {
+            if (e?.code === 'cancelled') this.recordCancellation(entry.actionName, 'running');
+            throw e;
+        } finally {
+            this.running--;
+            this.next();
+        }
+    }
+
+    next() {
+        while (this.running < this.capacity && this.queue.length) {
+            const entry = this.queue.shift();
+            this.run(entry).then(entry.resolve, entry.reject);
+        }
+        this.reportPositions();
+    }
+
+    // Tells each waiting request its 1-based place in line when it changes
+    reportPositions() {
+        this.queue.forEach((entry, i) => {
+            if (entry.position === i + 1) return;
+            entry.position = i + 1;
+            if (!entry.joinedAt) entry.joinedAt = entry.position;
+            try {
+                entry.handlers.onQueued?.({ position: entry.position, depth: this.queue.length });
+            } catch (e) { }
+        });
+    }
+
+    getStatus() {
+        const waiting = {};
+        for (const entry of this.queue) waiting[entry.actionName] = (waiting[entry.actionName] || 0) + 1;
+        return {
+            running: this.running,
+            capacity: this.capacity,
+            waiting: this.queue.length,
+            maxDepth: this.maxDepth,
+            waitingByAction: waiting,
+            started: this.stats.started,
+            rejected: this.stats.rejected,
+            cancelled: { ...this.stats.cancelled },
+            avgWaitMs: this.stats.started ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+            maxWaitMs: this.stats.maxWaitMs
+        };
+    }
+}
+
+const scheduler = new RequestScheduler({
+    concurrencyPerSession: config.queue.concurrency,
+    maxDepth: config.queue.maxDepth,
+    priorities: QUEUE_PRIORITIES
+});
+
+// =====================
+// Metrics (Prometheus, GET /metrics)
+// =====================
+
+const metrics = new MetricsRegistry();
+
+const httpRequests = metrics.counter('puter_http_requests_total', 'HTTP requests served, by route and status', {
+    labels: ['method', 'route', 'status']
+});
+const httpDuration = metrics.histogram('puter_http_request_duration_seconds', 'Time from request to response end, by route and model', {
+    labels: ['method', 'route', 'model']
+});
+const safeExecuteRetries = metrics.counter('puter_safe_execute_retries_total', 'Calls retried on a fresh session, by action and the error that caused it', {
+    labels: ['action', 'code']
+});
+const upstreamErrors = metrics.counter('puter_upstream_errors_total', 'Failed browser calls, by action and error class', {
+    labels: ['action', 'code']
+});
+
+metrics.counter('puter_cache_requests_total', 'Response cache lookups by outcome (hit, miss, bypass, coalesced)', {
+    labels: ['endpoint', 'result'],
+    collect: (metric) => {
+        for (const [endpoint, counts] of Object.entries(responseCache.getStats().endpoints)) {
+            metric.set({ endpoint, result: 'hit' }, counts.hits);
+            metric.set({ endpoint, result: 'miss' }, counts.misses);
+            metric.set({ endpoint, result: 'bypass' }, counts.bypassed);
+            metric.set({ endpoint, result: 'coalesced' }, counts.coalesced);
+        }
+    }
+});
+metrics.counter('puter_cache_evictions_total', 'Response cache entries evicted to stay within the size budget', {
+    labels: ['endpoint'],
+    collect: (metric) => {
+        for (const [endpoint, counts] of Object.entries(responseCache.getStats().endpoints)) metric.set({ endpoint }, counts.evicted);
+    }
+});
+metrics.gauge('puter_cache_bytes', 'Bytes held by the response cache', {
+    collect: (metric) => metric.set({}, responseCache.bytes)
+});
+metrics.gauge('puter_cache_entries', 'Entries in the response cache', {
+    collect: (metric) => metric.set({}, responseCache.size)
+});
+
+metrics.gauge('puter_queue_depth', 'Requests waiting for a browser slot', {
+    collect: (metric) => metric.set({}, scheduler.queue.length)
+});
+metrics.gauge('puter_queue_running', 'Requests holding a browser slot', {
+    collect: (metric) => metric.set({}, scheduler.running)
+});
+metrics.counter('puter_queue_rejected_total', 'Requests turned away by a full queue', {
+    collect: (metric) => metric.set({}, scheduler.stats.rejected)
+});
+metrics.counter('puter_queue_cancelled_total', 'Requests whose client left, by whether they were still queued or already running', {
+    labels: ['stage'],
+    collect: (metric) => {
+        for (const [stage, count] of Object.entries(scheduler.stats.cancelled)) metric.set({ stage }, count);
+    }
+});
+
+metrics.counter('puter_session_rotations_total', 'Browser session rotations, by reason', {
+    labels: ['reason'],
+    collect: (metric) => {
+        for (const [reason, count] of Object.entries(pool.rotationsByReason)) metric.set({ reason }, count);
+    }
+});
+metrics.gauge('puter_session_uptime_seconds', 'Age of the current primary session (0 when there is none)', {
+    collect: (metric) => metric.set({}, pool.primary ? (Date.now() - pool.primary.createdAt) / 1000 : 0)
+});
+metrics.gauge('puter_session_ready', 'Whether the primary session is ready to serve (1) or not (0)', {
+    collect: (metric) => metric.set({}, pool.primary?.isReady ? 1 : 0)
+});
+
+metrics.gauge('puter_process_memory_bytes', 'Memory used by the Node process (process.memoryUsage), by type', {
+    labels: ['type'],
+    collect: (metric) => {
+        for (const [type, bytes] of Object.entries(process.memoryUsage())) metric.set({ type }, bytes);
+    }
+});
+metrics.gauge('puter_process_uptime_seconds', 'Seconds since the server process started', {
+    collect: (metric) => metric.set({}, process.uptime())
+});
+
+// Route pattern (not the raw URL, which would make a series per chat id)
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Model label: only ids the catalog or our defaults know. checkModel lets
+// unknown names through while the catalog is unavailable, and every name a
+// client makes up must not become a series of its own.
+function modelLabel(model) {
+    if (!model) return '';
+    if (Object.values(DEFAULT_MODELS).includes(model)) return model;
+    const known = modelCatalog.models && modelCatalog.find(modelCatalog.models, model);
+    return known ? known.id : 'unknown';
+}
+
+function cancelledError() {
+    return new ApiError('cancelled', 'Request cancelled: client disconnected');
+}
+
+// Signal that fires if the client goes away before the response is finished.
+// Watches the response: the request stream emits 'close' as soon as its body
+// has been read, long before we answer.
+function abortOnDisconnect(req, res) {
+    const controller = new AbortController();
+    const onClose = () => {
+        if (res.writableFinished) return;
+        cancelLog.info(`Client disconnected from ${req.method} ${req.path}`);
+        controller.abort();
+    };
+    // The client may already be gone by the time the route gets here
+    if (res.destroyed) onClose();
+    else res.on('close', onClose);
+    return controller.signal;
+}
+
+// Scheduler handlers for a non-streaming response: queue position and wait as
+// headers, and cancellation when the client disconnects
+function queueOptions(req, res) {
+    return {
+        signal: abortOnDisconnect(req, res),
+        onStart: ({ position, waitMs }) => {
+            if (res.headersSent) return;
+            res.setHeader('X-Queue-Position', String(position));
+            res.setHeader('X-Queue-Wait-Ms', String(waitMs));
+        }
+    };
+}
 
 // =====================
 // Helper: Execute with Failover
 // =====================
 
-async function safeExecute(actionName, fn, retryCount = 0) {
-    const MAX_RETRIES = 2;
+// Queued entry point for every non-streaming browser call.
+// options: scheduler handlers (see RequestScheduler.schedule), e.g. queueOptions(req, res).
+// Aborting options.signal cancels the call in the page and rejects with code cancelled.
+// Rejects with an ApiError (see errors.js) whatever went wrong.
+function safeExecute(actionName, fn, options = {}) {
+    return scheduler.schedule(actionName, options, () => executeWithFailover(actionName, fn, options.signal));
+}
+
+// A request is done with its session; a retiring session closes with its last request
+function releaseSession(session) {
+    session.activeRequests--;
+    if (session.status === 'retiring' && session.activeRequests <= 0) {
+        session.close();
+    }
+}
+
+async function executeWithFailover(actionName, fn, signal = null, retryCount = 0) {
+    const MAX_RETRIES = config.browser.maxRetries;
+    const actionLog = createLogger(actionName, { attempt: retryCount + 1 });
     let session = null;
+    let tab = null;
     
     try {
         session = await pool.getSession();
         session.activeRequests++;
 
-        await session.injectHelpers();
-        const result = await fn(session);
-
-        session.activeRequests--;
-        if (session.status === 'retiring' && session.activeRequests <= 0) {
-            session.close();
-        }
-
-        // Check for limit errors in result
+        // Each call gets a tab of its own for as long as it runs
+        tab = await session.tabs.lease();
+        tab.signal = signal;
+        if (signal?.aborted) throw cancelledError();
+        await session.injectHelpers(tab.page);
+        const result = await fn(tab);
+        session.tabs.release(tab);
+        tab = null;
+        // Released once: the catch below only does it for calls that never got here
+        releaseSession(session);
+        session = null;
+
+        // The page reports Puter's failures in the result rather than throwing
         if (result && result.error) {
-            const errorStr = JSON.stringify(result.error).toLowerCase();
-            if (errorStr.includes('insufficient_funds') || 
-                errorStr.includes('usage-limited') || 
-                errorStr.includes('limit') ||
-                errorStr.includes('quota')) {
-                console.warn(`[${actionName}] ⚠️ LIMIT REACHED! Rotating browser...`);
-                throw new Error('LIMIT_REACHED: ' + (result.error.message || JSON.stringify(result.error)));
-            }
+            const error = classifyUpstream(result.error);
+            if (error.code === 'upstream_quota') actionLog.warn('LIMIT REACHED! Rotating browser...');
+            throw error;
         }
 
         // Aggressive GC
@@ -1781,58 +2310,811 @@ async function safeExecute(actionName, fn, retryCount = 0) {
         return result;
 
     } catch (e) {
-        if (session) {
-            session.activeRequests--;
-            if (session.status === 'retiring' && session.activeRequests <= 0) {
-                session.close();
+        if (tab) session.tabs.release(tab, e);
+        if (session) releaseSession(session);
+
+        // Only quota, broken-session and timeout errors are worth a fresh browser.
+        // A cancelled call has nobody waiting for a retry.
+        const error = classifyError(e);
+        if (error.code !== 'cancelled' && error.code !== 'internal') upstreamErrors.inc({ action: actionName, code: error.code });
+        if (error.rotates && retryCount < MAX_RETRIES) {
+            safeExecuteRetries.inc({ action: actionName, code: error.code });
+            actionLog.warn(`Recoverable ${error.code} (attempt ${retryCount + 1}/${MAX_RETRIES})`, { code: error.code, error: error.message });
+            
+            // Wait before retry (exponential backoff)
+            await new Promise(r => setTimeout(r, (retryCount + 1) * 2000));
+            
+            actionLog.info(`Rotating to NEW browser (${error.code})...`);
+            await pool.rotateOnLimitError(error.code);
+            
+            // Retry with new session (keeps the slot it already holds)
+            return executeWithFailover(actionName, fn, signal, retryCount + 1);
+        }
+        
+        throw error;
+    }
+}
+
+// =====================
+// Model Catalog
+// =====================
+
+// Which endpoint(s) a model id is usable for. Puter's listing doesn't say,
+// so this goes by naming conventions of the providers behind it.
+function inferModelEndpoints(id) {
+    const name = id.toLowerCase();
+    if (/sora|veo|kling|runway|luma|hailuo|seedance|video/.test(name)) return ['video'];
+    if (/dall-e|gpt-image|flux|stable-diffusion|sdxl|imagen|ideogram|recraft/.test(name)) return ['image'];
+    if (name.includes('image')) return ['chat', 'image'];
+    if (/sonar|perplexity/.test(name)) return ['chat', 'search'];
+    return ['chat'];
+}
+
+// Cached copy of puter.ai.listModels(), refreshed through the active session
+const modelCatalog = {
+    TTL: 10 * 60 * 1000,
+    FAILURE_TTL: 60 * 1000,
+    models: null,
+    fetchedAt: 0,
+    failedAt: 0,
+    lastError: null,
+    loading: null,
+
+    async get(force = false) {
+        if (!force) {
+            if (this.models && Date.now() - this.fetchedAt < this.TTL) return this.models;
+            // Don't hammer the page while discovery is broken
+            if (this.failedAt && Date.now() - this.failedAt < this.FAILURE_TTL) return this.models;
+        }
+        if (!this.loading) {
+            this.loading = this.refresh().finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    },
+
+    async refresh() {
+        try {
+            const raw = await safeExecute('Models', async (tab) => {
+                return await provider.listModels(tab);
+            });
+            const list = Array.isArray(raw) ? raw : (raw?.models || raw?.data || []);
+            const models = new Map();
+
+            for (const entry of list) {
+                const id = typeof entry === 'string' ? entry : entry?.id;
+                if (!id || models.has(id)) continue;
+                models.set(id, {
+                    id,
+                    name: entry.name || id,
+                    provider: entry.provider || null,
+                    aliases: Array.isArray(entry.aliases) ? entry.aliases : [],
+                    context: entry.context || entry.context_window || null,
+                    endpoints: inferModelEndpoints(id)
+                });
             }
+
+            // Our own defaults are always usable even if the listing skips them
+            for (const [endpoint, id] of Object.entries(DEFAULT_MODELS)) {
+                const known = models.get(id);
+                if (!known) {
+                    models.set(id, { id, name: id, provider: null, aliases: [], context: null, endpoints: [endpoint] });
+                } else if (!known.endpoints.includes(endpoint)) {
+                    known.endpoints.push(endpoint);
+                }
+            }
+
+            this.models = models;
+            this.fetchedAt = Date.now();
+            this.failedAt = 0;
+            this.lastError = null;
+            modelsLog.info(`Loaded ${models.size} models from Puter`);
+            return models;
+        } catch (e) {
+            modelsLog.warn(`Model discovery failed: ${e.message}`);
+            this.failedAt = Date.now();
+            this.lastError = e.message;
+            return this.models;
         }
+    },
 
-        const errStr = e.toString().toLowerCase();
-        const isRecoverableError = 
-            errStr.includes('limit') || 
-            errStr.includes('quota') || 
-            errStr.includes('429') || 
-            errStr.includes('rate') ||
-            errStr.includes('insufficient_funds') ||
-            errStr.includes('usage-limited') ||
-            errStr.includes('navigat') || 
-            errStr.includes('protocol') ||
-            errStr.includes('session') ||
-            errStr.includes('target closed');
-
-        if (isRecoverableError && retryCount < MAX_RETRIES) {
-            console.warn(`[${actionName}] 🔄 Recoverable error (attempt ${retryCount + 1}/${MAX_RETRIES}): ${e.message}`);
+    find(models, id) {
+        if (models.has(id)) return models.get(id);
+        for (const model of models.values()) {
+            if (model.aliases.includes(id)) return model;
+        }
+        return null;
+    }
+};
+
+// Returns an error message if `model` can't be used for `endpoint`, null otherwise.
+// When discovery is unavailable, or Puter lists nothing for that endpoint, the
+// request is let through and Puter has the final word.
+async function checkModel(model, endpoint) {
+    if (!model) return null;
+    if (typeof model !== 'string') return 'model must be a string';
+
+    const models = await modelCatalog.get();
+    if (!models) return null;
+
+    const known = modelCatalog.find(models, model);
+    if (!known) {
+        const listsEndpoint = [...models.values()].some(m => m.endpoints.includes(endpoint) && m.id !== DEFAULT_MODELS[endpoint]);
+        return listsEndpoint ? `Unknown model "${model}". See GET /api/models for available models.` : null;
+    }
+    if (!known.endpoints.includes(endpoint)) {
+        return `Model "${model}" can't be used for ${endpoint} (usable for: ${known.endpoints.join(', ')})`;
+    }
+    return null;
+}
+
+// =====================
+// Chat Helpers
+// =====================
+
+// Writes to a streaming response. The promise resolves once the socket can
+// take more (at once unless write() reported a full buffer), so onText
+// handlers that return it let a slow client hold the stream bridge back.
+function writeStream(res, data) {
+    if (res.write(data) || res.destroyed) return Promise.resolve();
+    return new Promise((resolve) => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Runs one streaming chat through an exposed page callback and hands every
+// piece to the caller's handlers, so each route only decides the wire format.
+// handlers: onText(text), onInfo(message), onError(apiError), isClosed(),
+// and optionally onQueued({ position, depth }) while it waits for a slot.
+// onText may return a promise (see writeStream); the next chunk waits for it.
+// Resolves with { finishReason, usage, toolCalls } once the stream is over
+// (errors included); usage is what the provider reported (see extractUsage)
+// or null, toolCalls the normalized calls the model made (see ToolCallCollector).
+async function streamChat(input, model, options, handlers) {
+    try {
+        return await scheduler.schedule('Stream', { onQueued: handlers.onQueued, signal: handlers.signal },
+            () => executeStreamChat(input, model, options, handlers));
+    } catch (e) {
+        // The client went away, either while queued or mid-stream
+        const error = classifyError(e);
+        if (error.code === 'cancelled') return { finishReason: 'cancelled', usage: null };
+        // Otherwise only a full queue gets here; executeStreamChat reports its own failures
+        if (!handlers.isClosed()) handlers.onError(error);
+        return { finishReason: 'error', usage: null };
+    }
+}
+
+// Identical streams in flight, by cache key (see streamChatShared)
+const sharedStreams = new Map();
+
+// streamChat for a stream identical requests may join while it runs: one
+// upstream call, with every chunk fanned out to each subscriber's handlers.
+// A late subscriber first gets the text streamed so far. The upstream call is
+// only cancelled once every subscriber's signal has fired. Every subscriber
+// still attached at the end gets the result; all but one carry coalesced: true,
+// so the stream's usage is recorded once even if whoever started it has left.
+// A null key just streams.
+function streamChatShared(key, input, model, options, handlers) {
+    if (!key) return streamChat(input, model, options, handlers);
+
+    let shared = sharedStreams.get(key);
+    if (shared) {
+        responseCache.recordCoalesced('chat');
+        for (const text of shared.text) handlers.onText(text);
+        shared.subscribers.add(handlers);
+    } else {
+        shared = { subscribers: new Set(), text: [], controller: new AbortController(), usageOwner: null };
+        // Resolves once every subscriber is ready for more, so the slowest sets the pace
+        const each = (fn) => {
+            const pending = [];
+            for (const sub of shared.subscribers) {
+                if (!sub.isClosed()) pending.push(fn(sub));
+            }
+            return Promise.all(pending);
+        };
+        sharedStreams.set(key, shared);
+        // Subscribed before scheduling, which may report the queue position right away
+        shared.subscribers.add(handlers);
+        shared.done = streamChat(input, model, options, {
+            onText: (text) => {
+                shared.text.push(text);
+                return each(sub => sub.onText(text));
+            },
+            onInfo: (info) => each(sub => sub.onInfo(info)),
+            onError: (payload) => each(sub => sub.onError(payload)),
+            onQueued: (queued) => each(sub => sub.onQueued?.(queued)),
+            // Empty only once everyone has left, and then the controller has fired
+            isClosed: () => shared.controller.signal.aborted
+                || (shared.subscribers.size > 0 && [...shared.subscribers].every(sub => sub.isClosed())),
+            signal: shared.controller.signal
+        }).finally(() => {
+            if (sharedStreams.get(key) === shared) sharedStreams.delete(key);
+        });
+    }
+
+    return new Promise((resolve) => {
+        const leave = () => {
+            shared.subscribers.delete(handlers);
+            if (!shared.subscribers.size) {
+                // Nobody is left to join either
+                if (sharedStreams.get(key) === shared) sharedStreams.delete(key);
+                shared.controller.abort();
+            }
+            resolve({ finishReason: 'cancelled', usage: null });
+        };
+        if (handlers.signal?.aborted) return leave();
+        handlers.signal?.addEventListener('abort', leave, { once: true });
+        shared.done.then((result) => {
+            handlers.signal?.removeEventListener('abort', leave);
+            if (!shared.subscribers.has(handlers)) return;
+            // The first subscriber still here records the usage for everyone
+            shared.usageOwner ??= handlers;
+            resolve(shared.usageOwner === handlers ? result : { ...result, coalesced: true });
+        });
+    });
+}
+
+async function executeStreamChat(input, model, options, handlers, retryCount = 0) {
+    const MAX_RETRIES = config.browser.maxRetries;
+    let session = null;
+    let tab = null;
+    
+    try {
+        session = await pool.getSession();
+        session.activeRequests++;
+        tab = await session.tabs.lease();
+        tab.signal = handlers.signal || null;
+        if (tab.signal?.aborted) throw cancelledError();
+        await session.injectHelpers(tab.page);
+        
+        // First error the page reported, as a chunk or as the stream's result
+        let streamError = null;
+        let finishReason = 'stop';
+        let usage = null;
+        const toolCalls = new ToolCallCollector();
+        
+        // Real-time callback for every chunk the provider produces
+        const onChunk = (chunk) => {
+            try {
+                // Errors are reported once the stream is over, after deciding on a retry
+                if (chunk.error) {
+                    streamError = streamError || classifyUpstream(chunk.error);
+                    if (streamError.code === 'upstream_quota') streamLog.warn('LIMIT REACHED in chunk!');
+                    return;
+                }
+                
+                // Remember why the model stopped, if the chunk says so
+                const reason = chunk.finish_reason || chunk.stop_reason || chunk.choices?.[0]?.finish_reason;
+                if (reason) finishReason = reason;
+                
+                // Tool calls are handed over whole once the stream is over
+                toolCalls.push(chunk);
+
+                // Keep token counts, but don't forward metadata chunks as text
+                if (chunk.type === 'usage' || chunk.type === 'metadata' || chunk.usage) {
+                    usage = extractUsage(chunk.type === 'usage' && !chunk.usage ? { usage: chunk } : chunk) || usage;
+                    return;
+                }
+                
+                // Extract text
+                let text = null;
+                if (typeof chunk === 'string') {
+                    text = chunk;
+                } else if (chunk.text) {
+                    text = chunk.text;
+                } else if (chunk.content) {
+                    text = chunk.content;
+                } else if (chunk.message) {
+                    text = typeof chunk.message === 'string' ? chunk.message : chunk.message.content;
+                } else if (chunk.delta && chunk.delta.content) {
+                    text = chunk.delta.content;
+                } else if (chunk.choices && chunk.choices[0]) {
+                    const choice = chunk.choices[0];
+                    text = choice.delta?.content || choice.text || choice.message?.content;
+                }
+                
+                // Send chunk immediately; the bridge holds the next one until it's written
+                if (text && text.trim() && !handlers.isClosed()) {
+                    return handlers.onText(text);
+                }
+            } catch (e) {
+                streamLog.error('Callback error', { err: e });
+                // Send error to client
+                if (!handlers.isClosed()) {
+                    handlers.onError(classifyError(e));
+                }
+            }
+        };
+        
+        // Start streaming with callback
+        const streamResult = await provider.chatStream(tab, input, model || DEFAULT_MODELS.chat, options || {}, onChunk);
+        session.tabs.release(tab, streamResult?.error);
+        tab = null;
+        if (streamResult?.cancelled) throw cancelledError();
+        
+        if (streamResult && streamResult.error) streamError = streamError || classifyUpstream(streamResult.error);
+        
+        if (streamError) {
+            upstreamErrors.inc({ action: 'Stream', code: streamError.code });
+            if (streamError.rotates && retryCount < MAX_RETRIES) {
+                safeExecuteRetries.inc({ action: 'Stream', code: streamError.code });
+                streamLog.warn(`${streamError.code}! Rotating browser (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
+                
+                releaseSession(session);
+                session = null;
+                
+                // Send notification to client about rotation
+                if (!handlers.isClosed()) {
+                    handlers.onInfo('Rotating to new session, retrying...');
+                }
+                
+                // Rotate to new browser
+                await pool.forceRotate(streamError.code);
+                
+                // Wait a bit
+                await new Promise(r => setTimeout(r, (retryCount + 1) * 2000));
+                
+                // Retry with new browser
+                return executeStreamChat(input, model, options, handlers, retryCount + 1);
+            }
+            if (!handlers.isClosed()) {
+                handlers.onError(streamError.rotates
+                    ? new ApiError(streamError.code, `Maximum retries reached (${streamError.message}). Please try again later or get a new token.`)
+                    : streamError);
+            }
+        }
+        
+        releaseSession(session);
+        session = null;
+        if (global.gc) global.gc();
+        
+        if (streamError) return { finishReason: 'error', usage, toolCalls: [] };
+        const calls = toolCalls.calls();
+        return { finishReason: calls.length ? 'tool_calls' : finishReason, usage, toolCalls: calls };
+        
+    } catch (e) {
+        if (tab) session.tabs.release(tab, e);
+        if (session) releaseSession(session);
+
+        // The client is gone: nothing to retry or report
+        const error = classifyError(e);
+        if (error.code === 'cancelled') throw error;
+        streamLog.error('Request failed', { err: e });
+        if (error.code !== 'internal') upstreamErrors.inc({ action: 'Stream', code: error.code });
+        
+        if (error.rotates && retryCount < MAX_RETRIES) {
+            safeExecuteRetries.inc({ action: 'Stream', code: error.code });
+            streamLog.warn(`Retrying after ${error.code} (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
             
-            // Wait before retry (exponential backoff)
+            await pool.rotateOnLimitError(error.code);
             await new Promise(r => setTimeout(r, (retryCount + 1) * 2000));
             
-            // Rotate session ONLY on limit/quota errors
-            console.log(`[${actionName}] 🔄 Rotating to NEW browser (limit reached)...`);
-            await pool.rotateOnLimitError();
-            
-            // Retry with new session
-            return safeExecute(actionName, fn, retryCount + 1);
+            return executeStreamChat(input, model, options, handlers, retryCount + 1);
         }
         
-        throw e;
+        if (!handlers.isClosed()) {
+            handlers.onError(error);
+        }
+        return { finishReason: 'error', usage: null };
+    }
+}
+
+// Works out the system prompt for a chat request: an explicit `system` wins,
+// then a named `preset`, then the preset the chat was created with.
+// Returns { system } or { error } when the requested preset doesn't exist; a
+// chat whose preset has since been deleted just goes on without one.
+function resolveSystemPrompt({ system, preset, chatId }) {
+    if (system) return { system };
+
+    const ref = preset || (chatId && chatStore.getChat(chatId)?.preset);
+    if (!ref) return { system: null };
+
+    const found = chatStore.getPreset(ref);
+    if (!found) return preset ? { error: `Unknown preset "${ref}"` } : { system: null };
+    return { system: found.system };
+}
+
+// Context windows (tokens) by model family, for when Puter's listing doesn't say
+const MODEL_CONTEXT_WINDOWS = [
+    [/^gemini/, 1000000],
+    [/^claude/, 200000],
+    [/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/, 128000],
+    [/^(sonar|perplexity)/, 127000],
+    [/^(deepseek|mistral|llama|qwen|grok)/, 32000]
+];
+const DEFAULT_CONTEXT_WINDOW = 8000;
+
+function getContextWindow(model) {
+    const known = modelCatalog.models && modelCatalog.find(modelCatalog.models, model);
+    if (known?.context) return known.context;
+    const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Rough token count (~4 chars per token). Good enough for budgeting, not billing.
+function estimateTokens(content) {
+    if (!content) return 0;
+    if (typeof content === 'string') return Math.ceil(content.length / 4);
+    if (Array.isArray(content)) {
+        return content.reduce((sum, part) => sum + estimateTokens(typeof part === 'string' ? part : part?.text || ''), 0);
+    }
+    return Math.ceil(JSON.stringify(content).length / 4);
+}
+
+// Per-message overhead covers the role and formatting tokens
+function estimateMessageTokens(message) {
+    return estimateTokens(message.content) + estimateTokens(message.tool_calls) + 4;
+}
+
+// A prompt string or message array as a message array
+function toMessages(input) {
+    return typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+}
+
+// Prepends a chat's stored history to the new turn, dropping the oldest
+// messages until everything fits in three quarters of the model's context
+// window (the rest is left for the reply).
+function buildChatContext(chat, input, model) {
+    const incoming = toMessages(input);
+    const history = chat.messages.map(({ timestamp, ...message }) => message);
+
+    let remaining = Math.floor(getContextWindow(model) * 0.75) -
+        incoming.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+    let start = history.length;
+    while (start > 0) {
+        const cost = estimateMessageTokens(history[start - 1]);
+        if (cost > remaining) break;
+        remaining -= cost;
+        start--;
+    }
+    // Don't open the kept history with a reply to a question that was dropped
+    while (start < history.length && history[start].role !== 'user') start++;
+
+    const kept = history.slice(start);
+    return {
+        messages: [...kept, ...incoming],
+        context: { historyMessages: kept.length, truncated: start > 0, droppedMessages: start }
+    };
+}
+
+// Records the new turn (as sent, without history or system prompt) and the
+// reply, with the tool calls it made (if any)
+function saveChatTurn(chatId, input, reply, toolCalls = []) {
+    for (const m of toMessages(input)) {
+        chatStore.addMessage(chatId, m.role, m.content, { toolCalls: m.tool_calls, toolCallId: m.tool_call_id });
+    }
+    chatStore.addMessage(chatId, 'assistant', reply, { toolCalls });
+}
+
+// Puts the system prompt in front of the conversation. A plain prompt
+// string is turned into a message array so the two can travel together.
+function withSystemPrompt(input, system) {
+    if (!system) return input;
+    return [{ role: 'system', content: system }, ...toMessages(input)];
+}
+
+// Checks the input of an /api/chat request: messages (which win when both are
+// sent) or a prompt. Returns an error message or null.
+function validateChatInput(prompt, messages) {
+    if (messages === undefined) {
+        return typeof prompt === 'string' && prompt ? null : "'prompt' must be a non-empty string (or send 'messages')";
+    }
+    if (!Array.isArray(messages) || !messages.length) return "'messages' must be a non-empty array";
+    for (const [i, m] of messages.entries()) {
+        if (!m || typeof m !== 'object' || typeof m.role !== 'string' || !m.role) {
+            return `'messages[${i}]' must look like { role, content }`;
+        }
+        // An assistant turn that only called tools may have no text
+        const toolCallsOnly = m.content == null && Array.isArray(m.tool_calls);
+        if (typeof m.content !== 'string' && !Array.isArray(m.content) && !toolCallsOnly) {
+            return `'messages[${i}].content' must be a string or an array of content parts`;
+        }
+    }
+    return null;
+}
+
+// Tools (function calling).
+// Tool definitions, tool_choice and role "tool" messages use OpenAI's shapes,
+// which Puter translates for every model family. Tool calls come back as
+// OpenAI tool_calls, Anthropic tool_use blocks or streamed deltas depending
+// on the model; all of them are normalized to
+// { id, type: 'function', function: { name, arguments } }, arguments being a JSON string.
+const TOOL_NAME_PATTERN = /^[\w-]{1,64}$/;
+const TOOL_CHOICES = ['auto', 'none', 'required'];
+
+// Checks tools and tool_choice from a request. Returns an error message or null.
+function validateTools(tools, toolChoice) {
+    if (tools === undefined) {
+        return toolChoice === undefined ? null : "'tool_choice' needs 'tools'";
+    }
+    if (!Array.isArray(tools) || !tools.length) return "'tools' must be a non-empty array";
+    for (const [i, tool] of tools.entries()) {
+        if (tool?.type !== 'function' || !tool.function || typeof tool.function !== 'object') {
+            return `'tools[${i}]' must look like { type: 'function', function: { name, description, parameters } }`;
+        }
+        if (!TOOL_NAME_PATTERN.test(tool.function.name || '')) {
+            return `'tools[${i}].function.name' must be 1-64 letters, digits, _ or -`;
+        }
+        const { parameters } = tool.function;
+        if (parameters !== undefined && (!parameters || typeof parameters !== 'object' || Array.isArray(parameters))) {
+            return `'tools[${i}].function.parameters' must be a JSON Schema object`;
+        }
+    }
+    if (toolChoice === undefined || TOOL_CHOICES.includes(toolChoice)) return null;
+    const name = toolChoice?.type === 'function' ? toolChoice.function?.name : undefined;
+    if (!name) return `'tool_choice' must be ${TOOL_CHOICES.map(c => `"${c}"`).join(', ')} or { type: 'function', function: { name } }`;
+    if (!tools.some(t => t.function.name === name)) return `'tool_choice' names unknown tool "${name}"`;
+    return null;
+}
+
+// Checks the tool parts of a message array: results (role "tool") must say
+// which call they answer, and assistant turns may carry the calls they made.
+// Returns an error message or null.
+function validateToolMessages(messages) {
+    if (!Array.isArray(messages)) return null;
+    for (const [i, m] of messages.entries()) {
+        if (m?.role === 'tool') {
+            if (typeof m.tool_call_id !== 'string' || !m.tool_call_id) return `'messages[${i}]' (role "tool") needs a tool_call_id`;
+            if (typeof m.content !== 'string' && !Array.isArray(m.content)) return `'messages[${i}].content' must be the tool's result as a string`;
+        }
+        if (m?.tool_calls !== undefined && (m.role !== 'assistant' || !Array.isArray(m.tool_calls))) {
+            return `'messages[${i}].tool_calls' must be an array on an assistant message`;
+        }
+    }
+    return null;
+}
+
+// One tool call, whichever shape it came in
+function normalizeToolCall(call) {
+    // OpenAI nests name and arguments under function; Anthropic's tool_use doesn't
+    const fn = call.function || call;
+    const args = fn.arguments ?? call.input ?? {};
+    return {
+        id: call.id || `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`,
+        type: 'function',
+        function: { name: fn.name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+    };
+}
+
+// The tool calls in a non-streaming result, normalized (empty if it made none)
+function extractToolCalls(res) {
+    if (!res || typeof res !== 'object') return [];
+    const message = (res.message && typeof res.message === 'object' && res.message) || res.choices?.[0]?.message || res;
+    const calls = Array.isArray(message.tool_calls) ? [...message.tool_calls] : [];
+    if (Array.isArray(message.content)) calls.push(...message.content.filter(c => c?.type === 'tool_use'));
+    return calls.filter(c => c && (c.function || c).name).map(normalizeToolCall);
+}
+
+// Gathers the tool calls spread over a stream's chunks: whole tool_use
+// chunks, or OpenAI deltas whose argument fragments are joined by index
+class ToolCallCollector {
+    constructor() {
+        this.whole = [];
+        this.partial = new Map(); // delta index -> { id, name, arguments }
+    }
+
+    push(chunk) {
+        if (!chunk || typeof chunk !== 'object') return;
+        if (chunk.type === 'tool_use') this.whole.push(chunk);
+        if (Array.isArray(chunk.tool_calls)) this.whole.push(...chunk.tool_calls);
+
+        for (const delta of chunk.choices?.[0]?.delta?.tool_calls || []) {
+            const index = delta.index ?? this.partial.size;
+            const call = this.partial.get(index) || { id: null, name: '', arguments: '' };
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.name += delta.function.name;
+            if (delta.function?.arguments) call.arguments += delta.function.arguments;
+            this.partial.set(index, call);
+        }
+    }
+
+    calls() {
+        const partial = [...this.partial.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([, call]) => ({ id: call.id, function: { name: call.name, arguments: call.arguments } }));
+        return [...this.whole, ...partial].filter(c => (c.function || c).name).map(normalizeToolCall);
+    }
+}
+
+// Splits the many response shapes puter.ai.chat can return into the reply's
+// text and its tool calls (see extractToolCalls): { text, toolCalls }
+function normalizeResponse(res) {
+    const toolCalls = extractToolCalls(res);
+    return { text: responseText(res, toolCalls.length > 0), toolCalls };
+}
+
+// The text of a reply. One that only calls tools has none, rather than
+// being dumped as JSON like other unrecognized shapes.
+function responseText(res, hasToolCalls) {
+    if (!res) return '';
+    if (typeof res === 'string') return res;
+
+    const extractContent = (content) => {
+        if (typeof content === 'string') return content;
+        if (Array.isArray(content)) {
+            return content.map(c => {
+                if (typeof c === 'string') return c;
+                if (c?.type === 'tool_use') return '';
+                return c.text || c.content || JSON.stringify(c);
+            }).join('');
+        }
+        if (content === null && hasToolCalls) return '';
+        return JSON.stringify(content);
+    };
+
+    if (res.message) {
+        if (res.message.content) return extractContent(res.message.content);
+        if (res.message.text) return res.message.text;
+        if (typeof res.message === 'string') return res.message;
+    }
+
+    if (res.choices && res.choices[0]) {
+        const choice = res.choices[0];
+        if (choice.message) return extractContent(choice.message.content);
+        if (choice.text) return choice.text;
+    }
+
+    if (res.content) return extractContent(res.content);
+    if (res.text) return res.text;
+    if (hasToolCalls) return '';
+
+    return typeof res === 'object' ? JSON.stringify(res, null, 2) : String(res);
+}
+
+// Pulls the model's stop reason out of a non-streaming result, if it has one
+function getFinishReason(res) {
+    if (!res || typeof res !== 'object') return null;
+    return res.finish_reason || res.stop_reason ||
+        res.choices?.[0]?.finish_reason || res.message?.finish_reason || null;
+}
+
+// Token counts a result or stream chunk reports, as { prompt_tokens,
+// completion_tokens }, or null if it has none. Puter passes through the
+// backend's OpenAI/Anthropic-style object, or a list of billing line items
+// ({ type: 'prompt' | 'completion', amount }).
+function extractUsage(res) {
+    const usage = res?.usage || res?.message?.usage || res?.metadata?.usage;
+    if (!usage || typeof usage !== 'object') return null;
+
+    if (Array.isArray(usage)) {
+        const items = usage.filter(u => u?.type === 'prompt' || u?.type === 'completion');
+        if (!items.length) return null;
+        const sum = (type) => items.filter(u => u.type === type).reduce((n, u) => n + (Number(u.amount) || 0), 0);
+        return { prompt_tokens: sum('prompt'), completion_tokens: sum('completion') };
+    }
+
+    const prompt = usage.prompt_tokens ?? usage.input_tokens;
+    const completion = usage.completion_tokens ?? usage.output_tokens;
+    if (prompt === undefined && completion === undefined) return null;
+    return { prompt_tokens: Number(prompt) || 0, completion_tokens: Number(completion) || 0 };
+}
+
+// Usage for a finished reply: the reported counts when there are any,
+// otherwise a local estimate with estimated: true
+function buildUsage(reported, input, reply) {
+    const counts = reported || {
+        prompt_tokens: toMessages(input).reduce((sum, m) => sum + estimateMessageTokens(m), 0),
+        completion_tokens: estimateTokens(reply)
+    };
+    return {
+        prompt_tokens: counts.prompt_tokens,
+        completion_tokens: counts.completion_tokens,
+        total_tokens: counts.prompt_tokens + counts.completion_tokens,
+        estimated: !reported
+    };
+}
+
+// Adds a reply's usage to the per-model (and per-chat) totals in the store
+function recordUsage(model, chatId, usage) {
+    try {
+        chatStore.recordTokenUsage(model, chatId, usage);
+    } catch (e) {
+        usageLog.error('Failed to record token usage', { error: e.message });
     }
 }
 
+// Puter has no stop-sequence option, so cut the text ourselves.
+// Returns { text, matched } where matched is the sequence that fired (or null).
+function applyStopSequences(text, stop) {
+    const stops = (Array.isArray(stop) ? stop : [stop]).filter(s => typeof s === 'string' && s.length);
+    let cut = -1;
+    let matched = null;
+    for (const s of stops) {
+        const i = text.indexOf(s);
+        if (i !== -1 && (cut === -1 || i < cut)) {
+            cut = i;
+            matched = s;
+        }
+    }
+    return cut === -1 ? { text, matched: null } : { text: text.slice(0, cut), matched };
+}
+
+// Streaming version of applyStopSequences: holds back just enough text to
+// catch a stop sequence split across chunks, and swallows everything after it.
+function createStopFilter(stop) {
+    const stops = (Array.isArray(stop) ? stop : [stop]).filter(s => typeof s === 'string' && s.length);
+    const holdBack = stops.reduce((max, s) => Math.max(max, s.length - 1), 0);
+    let buffer = '';
+
+    const filter = {
+        stopped: false,
+        matched: null,
+        push(text) {
+            if (filter.stopped) return '';
+            buffer += text;
+            const { text: head, matched } = applyStopSequences(buffer, stops);
+            if (matched) {
+                filter.stopped = true;
+                filter.matched = matched;
+                buffer = '';
+                return head;
+            }
+            const safe = buffer.length - holdBack;
+            if (safe <= 0) return '';
+            const out = buffer.slice(0, safe);
+            buffer = buffer.slice(safe);
+            return out;
+        },
+        flush() {
+            const out = filter.stopped ? '' : buffer;
+            buffer = '';
+            return out;
+        }
+    };
+    return filter;
+}
+
 // =====================
 // API Endpoints
 // =====================
 
 // 1. Chat (Ultra-Fast with Context Preservation + Streaming Support)
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', requireScope('chat'), rateLimit('chat'), async (req, res) => {
     try {
-        const { prompt, model, messages, system, chatId, stream = false } = req.body;
-        let input = messages || prompt;
-        if (!input && !messages) return res.status(400).json({ error: 'No input provided' });
+        const { prompt, model, messages, system, preset, chatId, stream = false, tools, tool_choice } = req.body;
+        const inputError = validateChatInput(prompt, messages) || validateTools(tools, tool_choice) || validateToolMessages(messages);
+        if (inputError) return sendError(res, 'invalid_request', inputError);
+        const input = messages ?? prompt;
+        // Passed to puter.ai.chat as they are
+        const options = {};
+        if (tools) options.tools = tools;
+        if (tool_choice !== undefined) options.tool_choice = tool_choice;
+
+        let chat = null;
+        if (chatId) {
+            chat = chatStore.getChat(chatId);
+            if (!chat) return sendError(res, 'not_found', 'Chat not found');
+        }
+        const chatModel = model || chat?.model || DEFAULT_MODELS.chat;
+        const modelError = await checkModel(chatModel, 'chat');
+        if (modelError) return sendError(res, 'invalid_request', modelError);
+        res.locals.model = chatModel;
+
+        const systemPrompt = resolveSystemPrompt({ system, preset, chatId });
+        if (systemPrompt.error) return sendError(res, 'invalid_request', systemPrompt.error);
+
+        // Chats carry their stored history, trimmed to the model's context budget
+        let turn = input;
+        let context = null;
+        if (chat) {
+            ({ messages: turn, context } = buildChatContext(chat, input, chatModel));
+        }
+        const conversation = withSystemPrompt(turn, systemPrompt.system);
 
         // Streaming mode
         if (stream) {
-            console.log(`[Chat] STREAMING mode enabled`);
+            chatLog.info('STREAMING mode enabled');
+
+            // A stream is committed to 200 before it gets a slot, so check for room first
+            if (scheduler.isFull()) {
+                res.setHeader('Retry-After', String(QUEUE_RETRY_AFTER));
+                return sendError(res, 'queue_full', 'Request queue is full. Try again shortly.');
+            }
             
             // Set headers for SSE (Server-Sent Events)
             res.setHeader('Content-Type', 'text/event-stream');
@@ -1840,475 +3122,718 @@ app.post('/api/chat', async (req, res) => {
             res.setHeader('Connection', 'keep-alive');
             res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
             
-            const executeStream = async (retryCount = 0) => {
-                const MAX_RETRIES = 2;
-                let session = null;
-                
-                try {
-                    session = await pool.getSession();
-                    session.activeRequests++;
-                    await session.injectHelpers();
-                    
-                    // Create a unique callback ID for this stream
-                    const callbackId = `stream_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                    
-                    // Track if we hit a limit error
-                    let limitErrorDetected = false;
-                    let limitErrorMessage = null;
-                    
-                    // Setup streaming with real-time callback
-                    await session.page.exposeFunction(callbackId, (chunk) => {
-                        try {
-                            // Check for limit errors
-                            if (chunk.error) {
-                                const errorStr = JSON.stringify(chunk.error).toLowerCase();
-                                if (errorStr.includes('insufficient_funds') || 
-                                    errorStr.includes('usage-limited') ||
-                                    errorStr.includes('limit') ||
-                                    errorStr.includes('quota')) {
-                                    console.warn('[Stream] ⚠️ LIMIT REACHED in chunk!');
-                                    limitErrorDetected = true;
-                                    limitErrorMessage = chunk.error.message || JSON.stringify(chunk.error);
-                                    
-                                    // Send error to client immediately
-                                    if (!res.writableEnded) {
-                                        res.write(`data: ${JSON.stringify({ error: 'LIMIT_REACHED', message: limitErrorMessage })}\n\n`);
-                                    }
-                                    return; // Don't throw, just mark and return
-                                }
-                                
-                                // Send other errors to client
-                                if (!res.writableEnded) {
-                                    res.write(`data: ${JSON.stringify({ error: chunk.error })}\n\n`);
-                                }
-                                return;
-                            }
-                            
-                            // Skip metadata chunks
-                            if (chunk.type === 'usage' || chunk.type === 'metadata' || chunk.usage) {
-                                return;
-                            }
-                            
-                            // Extract text
-                            let text = null;
-                            if (typeof chunk === 'string') {
-                                text = chunk;
-                            } else if (chunk.text) {
-                                text = chunk.text;
-                            } else if (chunk.content) {
-                                text = chunk.content;
-                            } else if (chunk.message) {
-                                text = typeof chunk.message === 'string' ? chunk.message : chunk.message.content;
-                            } else if (chunk.delta && chunk.delta.content) {
-                                text = chunk.delta.content;
-                            } else if (chunk.choices && chunk.choices[0]) {
-                                const choice = chunk.choices[0];
-                                text = choice.delta?.content || choice.text || choice.message?.content;
-                            }
-                            
-                            // Send chunk immediately
-                            if (text && text.trim() && !res.writableEnded) {
-                                res.write(`data: ${JSON.stringify({ text })}\n\n`);
-                            }
-                        } catch (e) {
-                            console.error('[Stream] Callback error:', e);
-                            // Send error to client
-                            if (!res.writableEnded) {
-                                res.write(`data: ${JSON.stringify({ error: e.message })}\n\n`);
-                            }
-                        }
-                    });
-                    
-                    // Start streaming with callback
-                    const streamResult = await session.page.evaluate(async (p, m, cbId) => {
-                        try {
-                            if (!puter?.ai) {
-                                return { error: 'Puter AI not ready' };
-                            }
-                            
-                            let stream;
-                            try {
-                                stream = await puter.ai.chat(p, { model: m, stream: true });
-                            } catch (chatError) {
-                                // Catch errors from puter.ai.chat call itself
-                                console.error('[Puter Stream] Chat call failed:', chatError);
-                                
-                                // Extract error details
-                                let errorObj = {
-                                    message: chatError.message || String(chatError),
-                                    name: chatError.name,
-                                    stack: chatError.stack
-                                };
-                                
-                                // Check for limit-related properties
-                                if (chatError.delegate) errorObj.delegate = chatError.delegate;
-                                if (chatError.code) errorObj.code = chatError.code;
-                                if (chatError.status) errorObj.status = chatError.status;
-                                
-                                return { error: errorObj };
-                            }
-                            
-                            // Check if stream itself is an error
-                            if (stream && stream.error) {
-                                console.error('[Puter Stream] Stream returned error:', stream.error);
-                                return { error: stream.error };
-                            }
-                            
-                            // Check if stream is actually an error response (no iterator)
-                            if (stream && !stream[Symbol.asyncIterator] && !stream.getReader && typeof stream === 'object') {
-                                // Might be an error object disguised as response
-                                const streamStr = JSON.stringify(stream).toLowerCase();
-                                if (streamStr.includes('error') || streamStr.includes('limit') || streamStr.includes('insufficient')) {
-                                    console.error('[Puter Stream] Stream looks like error:', stream);
-                                    return { error: stream };
-                                }
-                            }
-                            
-                            // Handle different stream formats
-                            if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
-                                try {
-                                    for await (const chunk of stream) {
-                                        // Check each chunk for errors
-                                        if (chunk && chunk.error) {
-                                            console.error('[Puter Stream] Error chunk:', chunk.error);
-                                            return { error: chunk.error };
-                                        }
-                                        
-                                        // Call the exposed function to send chunk to Node.js
-                                        await window[cbId](chunk);
-                                    }
-                                } catch (streamError) {
-                                    console.error('[Puter Stream] Iteration error:', streamError);
-                                    return { error: streamError.message || String(streamError) };
-                                }
-                            } else if (stream && typeof stream.getReader === 'function') {
-                                const reader = stream.getReader();
-                                const decoder = new TextDecoder();
-                                
-                                try {
-                                    while (true) {
-                                        const { done, value } = await reader.read();
-                                        if (done) break;
-                                        
-                                        const text = decoder.decode(value, { stream: true });
-                                        await window[cbId]({ text });
-                                    }
-                                } catch (readerError) {
-                                    console.error('[Puter Stream] Reader error:', readerError);
-                                    return { error: readerError.message || String(readerError) };
-                                }
-                            } else {
-                                // Fallback: return as single chunk
-                                await window[cbId](stream);
-                            }
-                            
-                            return { success: true };
-                        } catch (e) {
-                            console.error('[Puter Stream] Top-level error:', e);
-                            // Extract detailed error info
-                            let errorObj = {
-                                message: e.message || String(e),
-                                name: e.name,
-                                stack: e.stack
-                            };
-                            
-                            // Try to get more details from Puter error
-                            if (e.delegate) errorObj.delegate = e.delegate;
-                            if (e.code) errorObj.code = e.code;
-                            if (e.status) errorObj.status = e.status;
-                            
-                            return { error: errorObj };
-                        }
-                    }, input, model || 'gemini-2.0-flash', callbackId);
-                    
-                    // Check for errors or limit detection
-                    if (limitErrorDetected || (streamResult && streamResult.error)) {
-                        const errorToCheck = limitErrorDetected ? { message: limitErrorMessage } : streamResult.error;
-                        const errorStr = JSON.stringify(errorToCheck).toLowerCase();
-                        
-                        // Check if it's a limit error
-                        if (errorStr.includes('insufficient_funds') || 
-                            errorStr.includes('usage-limited') ||
-                            errorStr.includes('limit') ||
-                            errorStr.includes('quota')) {
-                            
-                            if (retryCount < MAX_RETRIES) {
-                                console.warn(`[Stream] 🔄 LIMIT REACHED! Rotating browser (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
-                                
-                                if (session) session.activeRequests--;
-                                
-                                // Send notification to client about rotation
-                                if (!res.writableEnded) {
-                                    res.write(`data: ${JSON.stringify({ info: 'Rotating to new session, retrying...' })}\n\n`);
-                                }
-                                
-                                // Rotate to new browser
-                                await pool.forceRotate();
-                                
-                                // Wait a bit
-                                await new Promise(r => setTimeout(r, (retryCount + 1) * 2000));
-                                
-                                // Retry with new browser
-                                return executeStream(retryCount + 1);
-                            } else {
-                                // Max retries reached, send final error
-                                if (!res.writableEnded) {
-                                    res.write(`data: ${JSON.stringify({ error: 'LIMIT_REACHED', message: 'Maximum retries reached. Please try again later or get a new token.' })}\n\n`);
-                                }
-                            }
-                        } else if (streamResult && streamResult.error && !res.writableEnded) {
-                            // Non-limit error
-                            res.write(`data: ${JSON.stringify({ error: streamResult.error })}\n\n`);
-                        }
-                    }
-                    
-                    // Send completion
-                    if (!res.writableEnded) {
-                        res.write('data: [DONE]\n\n');
-                        res.end();
-                    }
-                    
-                    if (session) session.activeRequests--;
-                    if (global.gc) global.gc();
-                    
-                } catch (e) {
-                    console.error('[Stream] Error:', e);
-                    
-                    if (session) session.activeRequests--;
-                    
-                    const errStr = e.toString().toLowerCase();
-                    const isLimitError = 
-                        errStr.includes('limit') || 
-                        errStr.includes('insufficient_funds') ||
-                        errStr.includes('usage-limited') ||
-                        errStr.includes('quota');
-                    
-                    if (isLimitError && retryCount < MAX_RETRIES) {
-                        console.warn(`[Stream] 🔄 Retrying after limit error (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
-                        
-                        await pool.rotateOnLimitError();
-                        await new Promise(r => setTimeout(r, (retryCount + 1) * 2000));
-                        
-                        return executeStream(retryCount + 1);
-                    }
-                    
-                    if (!res.writableEnded) {
-                        res.write(`data: ${JSON.stringify({ error: e.message })}\n\n`);
-                        res.end();
-                    }
-                }
-            };
-            
-            await executeStream();
-            return;
-        }
-
-        // Normal mode (non-streaming)
-        // Check cache for identical requests (skip for chat history)
-        if (!chatId && typeof input === 'string' && !stream) {
-            const cacheKey = getCacheKey('chat', { prompt: input, model });
-            const cached = getFromCache(cacheKey);
-            if (cached) {
-                console.log('[Chat] Cache HIT ⚡');
-                return res.json(cached);
-            }
-        }
-
-        // Logging
-        if (Array.isArray(input)) {
-            console.log(`[Chat] Messages: ${input.length}, Model: ${model || 'default'}, ChatID: ${chatId || 'none'}`);
-        } else {
-            console.log(`[Chat] Prompt: ${input.substring(0, 50)}..., Model: ${model || 'default'}`);
-        }
-
-        const result = await safeExecute('Chat', async (session) => {
-            return await session.page.evaluate(async (p, m) => window.doChat(p, m, false), input, model || 'gemini-2.0-flash');
-        });
+            if (context) res.write(`data: ${JSON.stringify({ context })}\n\n`);
+
+            // Identical streams already running (no chat history involved) are joined, not repeated
+            const streamKey = chatId ? null : responseCache.key('chat', { conversation, model: chatModel, ...options });
+
+            let reply = '';
+            const { finishReason, usage: reported, coalesced, toolCalls = [] } = await streamChatShared(streamKey, conversation, chatModel, options, {
+                onText: (text) => {
+                    reply += text;
+                    return writeStream(res, `data: ${JSON.stringify({ text })}\n\n`);
+                },
+                onInfo: (info) => res.write(`data: ${JSON.stringify({ info })}\n\n`),
+                onError: (error) => {
+                    res.locals.errorCode = error.code;
+                    return res.write(`data: ${JSON.stringify({ error })}\n\n`);
+                },
+                onQueued: (queued) => res.write(`data: ${JSON.stringify({ queued })}\n\n`),
+                isClosed: () => res.writableEnded,
+                signal: abortOnDisconnect(req, res)
+            });
 
-        if (result && result.error) {
-            const errDetails = typeof result.error === 'object' ? JSON.stringify(result.error, null, 2) : String(result.error);
-            throw new Error(errDetails);
-        }
-
-        // Normalize response
-        const normalizeResponse = (res) => {
-            if (!res) return '';
-            if (typeof res === 'string') return res;
-
-            const extractContent = (content) => {
-                if (typeof content === 'string') return content;
-                if (Array.isArray(content)) {
-                    return content.map(c => {
-                        if (typeof c === 'string') return c;
-                        return c.text || c.content || JSON.stringify(c);
-                    }).join('');
-                }
-                return JSON.stringify(content);
-            };
+            // Nobody left to answer, and a partial reply isn't worth keeping
+            if (finishReason === 'cancelled') return;
 
-            if (res.message) {
-                if (res.message.content) return extractContent(res.message.content);
-                if (res.message.text) return res.message.text;
-                if (typeof res.message === 'string') return res.message;
+            let usage = null;
+            if (finishReason !== 'error') {
+                usage = buildUsage(reported, conversation, toolCalls.length ? [reply, JSON.stringify(toolCalls)] : reply);
+                // One upstream call, so its tokens are only counted for one subscriber
+                if (!coalesced) recordUsage(chatModel, chatId, usage);
+                if (chatId) saveChatTurn(chatId, input, reply, toolCalls);
             }
-
-            if (res.choices && res.choices[0]) {
-                const choice = res.choices[0];
-                if (choice.message) return extractContent(choice.message.content);
-                if (choice.text) return choice.text;
+            
+            // Send the tool calls (complete, once the stream is over), usage, then completion
+            if (!res.writableEnded) {
+                if (toolCalls.length) res.write(`data: ${JSON.stringify({ tool_calls: toolCalls, finish_reason: 'tool_calls' })}\n\n`);
+                if (usage) res.write(`data: ${JSON.stringify({ usage })}\n\n`);
+                res.write('data: [DONE]\n\n');
+                res.end();
             }
+            return;
+        }
 
-            if (res.content) return extractContent(res.content);
-            if (res.text) return res.text;
+        // Normal mode (non-streaming)
+        // Check cache for identical requests (skip for chat history, which changes every turn)
+        const cache = chatId ? { key: null } : readCache(req, res, 'chat', { conversation, model: chatModel, ...options });
+        if (cache.data) {
+            chatLog.info('Cache HIT');
+            return res.json(cache.data);
+        }
 
-            return typeof res === 'object' ? JSON.stringify(res, null, 2) : String(res);
-        };
+        // Logging
+        if (Array.isArray(conversation)) {
+            chatLog.info(`Messages: ${conversation.length}, Model: ${chatModel}, ChatID: ${chatId || 'none'}`);
+        } else {
+            chatLog.info(`Prompt: ${input.substring(0, 50)}..., Model: ${chatModel}`);
+        }
 
-        const text = normalizeResponse(result);
-        const response = { text, full: result };
+        // Identical requests already in flight share one call (and one usage record)
+        const queue = queueOptions(req, res);
+        const shared = await responseCache.share('chat', cache.key, queue.signal, async (signal) => {
+            const result = await safeExecute('Chat', async (tab) => {
+                return await provider.chat(tab, conversation, chatModel, options);
+            }, { ...queue, signal });
+
+            const { text, toolCalls } = normalizeResponse(result);
+            const usage = buildUsage(extractUsage(result), conversation, toolCalls.length ? [text, JSON.stringify(toolCalls)] : text);
+            recordUsage(chatModel, chatId, usage);
+            const response = toolCalls.length
+                ? { text, tool_calls: toolCalls, finish_reason: 'tool_calls', usage, full: result }
+                : { text, usage, full: result };
+            writeCache(req, 'chat', cache.key, response);
+            return response;
+        });
+        const response = context ? { ...shared, context } : shared;
 
         // Save to chat history if chatId provided
-        if (chatId) {
-            chatStore.addMessage(chatId, 'user', typeof input === 'string' ? input : JSON.stringify(input));
-            chatStore.addMessage(chatId, 'assistant', text);
-        }
-
-        // Cache simple prompts
-        if (!chatId && typeof input === 'string') {
-            const cacheKey = getCacheKey('chat', { prompt: input, model });
-            setCache(cacheKey, response);
-        }
+        if (chatId) saveChatTurn(chatId, input, response.text, response.tool_calls);
 
         res.json(response);
 
     } catch (e) {
-        console.error(`[Chat] Error:`, e);
-        let errMsg = e.message || String(e);
-        if (errMsg === '[object Object]') {
-            try { errMsg = JSON.stringify(e, null, 2); } catch (e3) { errMsg = e.toString(); }
-        }
-        res.status(500).json({ error: errMsg });
+        logRequestError(chatLog, e);
+        sendError(res, e);
     }
 });
 
 // 2. Image (Enhanced)
-app.post('/api/image/generate', async (req, res) => {
+app.post('/api/image/generate', requireScope('media'), rateLimit('image'), async (req, res) => {
     try {
         const { prompt, model, input_image } = req.body;
+        const modelError = await checkModel(model, 'image');
+        if (modelError) return sendError(res, 'invalid_request', modelError);
+
+        const imageModel = model || DEFAULT_MODELS.image;
+        res.locals.model = imageModel;
+        const cache = readCache(req, res, 'image', { prompt, model: imageModel, input_image });
+        if (cache.data) {
+            imageLog.info('Cache HIT');
+            return res.json(cache.data);
+        }
 
-        console.log(`[Image] Generating: "${prompt.substring(0, 40)}..." (Img2Img: ${!!input_image})`);
+        imageLog.info(`Generating: "${prompt.substring(0, 40)}..." (Img2Img: ${!!input_image})`);
 
-        const result = await safeExecute('Image', async (session) => {
-            return await session.page.evaluate(async (p, m, i) => window.doImage(p, m, i),
-                prompt,
-                model || 'gemini-2.5-flash-image-preview',
-                input_image
-            );
-        });
+        const queue = queueOptions(req, res);
+        const result = await responseCache.share('image', cache.key, queue.signal, async (signal) => {
+            const result = await safeExecute('Image', async (tab) => {
+                return await provider.image(tab, prompt, imageModel, input_image);
+            }, { ...queue, signal });
 
-        if (result && result.error) {
-            const errDetails = typeof result.error === 'object' ? JSON.stringify(result.error, null, 2) : String(result.error);
-            throw new Error(errDetails);
-        }
+            writeCache(req, 'image', cache.key, result);
+            return result;
+        });
 
         res.json(result);
 
     } catch (e) {
-        console.error('[Image] Error:', e);
-        let errMsg = e.message || String(e);
-        if (errMsg === '[object Object]') {
-            try { errMsg = JSON.stringify(e, null, 2); } catch (e3) { errMsg = e.toString(); }
-        }
-        res.status(500).json({ error: errMsg });
+        logRequestError(imageLog, e);
+        sendError(res, e);
     }
 });
 
 // 3. Search (Perplexity)
-app.post('/api/tool/search', async (req, res) => {
+app.post('/api/tool/search', requireScope('chat'), rateLimit('chat'), async (req, res) => {
     try {
-        const { prompt } = req.body;
-        const result = await safeExecute('Search', async (session) => {
-            return await session.page.evaluate(async (p) => window.doSearch(p), prompt);
+        const { prompt, model } = req.body;
+        const modelError = await checkModel(model, 'search');
+        if (modelError) return sendError(res, 'invalid_request', modelError);
+
+        const searchModel = model || DEFAULT_MODELS.search;
+        res.locals.model = searchModel;
+        const cache = readCache(req, res, 'search', { prompt, model: searchModel });
+        if (cache.data) return res.json(cache.data);
+
+        const queue = queueOptions(req, res);
+        const result = await responseCache.share('search', cache.key, queue.signal, async (signal) => {
+            const result = await safeExecute('Search', async (tab) => {
+                return await provider.search(tab, prompt, searchModel);
+            }, { ...queue, signal });
+            writeCache(req, 'search', cache.key, { result });
+            return result;
         });
         res.json({ result });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
 // 4. Text-to-Speech (TTS)
-app.post('/api/tool/tts', async (req, res) => {
+app.post('/api/tool/tts', requireScope('media'), rateLimit('audio'), async (req, res) => {
     try {
         const { text, voice } = req.body;
-        console.log(`[TTS] Generating voice for: "${text?.substring(0, 30)}..." (Voice: ${voice || 'default'})`);
-        const audioData = await safeExecute('TTS', async (session) => {
-            return await session.page.evaluate(async (t, v) => window.doTTS(t, v), text, voice);
-        });
+        ttsLog.info(`Generating voice for: "${text?.substring(0, 30)}..." (Voice: ${voice || 'default'})`);
+        const audioData = await safeExecute('TTS', async (tab) => {
+            return await provider.tts(tab, text, voice);
+        }, queueOptions(req, res));
         res.json({ audio: audioData });
     } catch (e) {
-        console.error('[TTS] Error:', e);
-        res.status(500).json({ error: e.message || 'Unknown TTS error' });
+        logRequestError(ttsLog, e);
+        sendError(res, e);
     }
 });
 
 // 5. Speech-to-Text (STT)
-app.post('/api/tool/stt', async (req, res) => {
+app.post('/api/tool/stt', requireScope('media'), rateLimit('audio'), async (req, res) => {
     try {
         const { audio } = req.body; // Expecting Base64 string or URL
-        if (!audio) return res.status(400).json({ error: 'Audio data/url required' });
+        if (!audio) return sendError(res, 'invalid_request', 'Audio data/url required');
 
-        const result = await safeExecute('STT', async (session) => {
-            return await session.page.evaluate(async (a) => window.doSTT(a), audio);
-        });
+        const result = await safeExecute('STT', async (tab) => {
+            return await provider.stt(tab, audio);
+        }, queueOptions(req, res));
         res.json({ text: result.text || result });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
 // 5. Speech-to-Speech (S2S)
-app.post('/api/tool/s2s', async (req, res) => {
+app.post('/api/tool/s2s', requireScope('media'), rateLimit('audio'), async (req, res) => {
     try {
         const { audio, voice } = req.body;
-        console.log(`[S2S] Converting voice (Voice: ${voice || 'default'})`);
-        const result = await safeExecute('S2S', async (session) => {
-            return await session.page.evaluate(async (a, v) => window.doS2S(a, v), audio, voice);
-        });
+        s2sLog.info(`Converting voice (Voice: ${voice || 'default'})`);
+        const result = await safeExecute('S2S', async (tab) => {
+            return await provider.s2s(tab, audio, voice);
+        }, queueOptions(req, res));
         res.json({ audio: result });
     } catch (e) {
-        console.error('[S2S] Error:', e);
-        res.status(500).json({ error: e.message || 'Unknown S2S error' });
+        logRequestError(s2sLog, e);
+        sendError(res, e);
+    }
+});
+
+// Model Discovery
+app.get('/api/models', requireScope(), rateLimit(), async (req, res) => {
+    try {
+        const models = await modelCatalog.get(req.query.refresh === 'true');
+        if (!models) {
+            return sendError(res, new ApiError('session_unavailable', 'Model list unavailable', { details: { details: modelCatalog.lastError } }));
+        }
+
+        let list = [...models.values()];
+        if (req.query.endpoint) list = list.filter(m => m.endpoints.includes(req.query.endpoint));
+
+        res.json({
+            models: list,
+            defaults: DEFAULT_MODELS,
+            fetchedAt: new Date(modelCatalog.fetchedAt).toISOString()
+        });
+    } catch (e) {
+        logRequestError(modelsLog, e);
+        sendError(res, e);
+    }
+});
+
+app.get('/v1/models', requireScope(), rateLimit(), async (req, res) => {
+    try {
+        const models = await modelCatalog.get();
+        if (!models) {
+            return res.status(503).json({ error: { message: 'Model list unavailable', type: 'api_error', param: null, code: null } });
+        }
+
+        const created = Math.floor(modelCatalog.fetchedAt / 1000);
+        res.json({
+            object: 'list',
+            data: [...models.values()].map(m => ({ id: m.id, object: 'model', created, owned_by: m.provider || 'puter' }))
+        });
+    } catch (e) {
+        logRequestError(modelsLog, e);
+        res.status(500).json({ error: { message: e.message, type: 'api_error', param: null, code: null } });
+    }
+});
+
+// =====================
+// OpenAI-Compatible API
+// =====================
+
+// Errors in the shape the openai SDK expects
+function sendOpenAIError(res, status, message, type = 'invalid_request_error', param = null, code = null) {
+    res.status(status).json({ error: { message, type, param, code } });
+}
+
+// OpenAI's error type for one of our error codes
+function toOpenAIErrorType(code) {
+    if (code === 'rate_limited' || code === 'upstream_quota') return 'rate_limit_error';
+    if (code === 'invalid_request' || code === 'content_filtered' || code === 'not_found') return 'invalid_request_error';
+    if (code === 'unauthorized') return 'authentication_error';
+    if (code === 'forbidden') return 'permission_error';
+    return 'api_error';
+}
+
+// Any failure as an OpenAI error response, keeping our code in `code`
+function sendOpenAIFailure(res, err) {
+    const error = classifyError(err);
+    res.locals.errorCode = error.code;
+    if (error.code === 'queue_full') res.setHeader('Retry-After', String(QUEUE_RETRY_AFTER));
+    sendOpenAIError(res, error.status, error.message, toOpenAIErrorType(error.code), null, error.code);
+}
+
+// OpenAI only knows a fixed set of finish reasons, map whatever Puter reports onto it
+function toOpenAIFinishReason(reason) {
+    const r = String(reason || 'stop').toLowerCase();
+    if (r === 'length' || r === 'max_tokens') return 'length';
+    if (r === 'content_filter' || r === 'safety') return 'content_filter';
+    return 'stop';
+}
+
+// Our usage object in OpenAI's shape (no estimated flag)
+function toOpenAIUsage(usage) {
+    return { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens, total_tokens: usage.total_tokens };
+}
+
+app.post('/v1/chat/completions', requireScope('chat'), rateLimit('chat'), async (req, res) => {
+    const { messages, model, temperature, max_tokens, max_completion_tokens, stream = false, stream_options, n = 1, stop } = req.body || {};
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return sendOpenAIError(res, 400, "'messages' must be a non-empty array", 'invalid_request_error', 'messages');
+    }
+    const badIndex = messages.findIndex(m => !m || typeof m.role !== 'string' || m.content === undefined);
+    if (badIndex !== -1) {
+        return sendOpenAIError(res, 400, `'messages[${badIndex}]' must have a role and content`, 'invalid_request_error', `messages[${badIndex}]`);
+    }
+    if (!Number.isInteger(n) || n < 1 || n > 8) {
+        return sendOpenAIError(res, 400, "'n' must be an integer between 1 and 8", 'invalid_request_error', 'n');
+    }
+    if (stream && n > 1) {
+        return sendOpenAIError(res, 400, "'n' greater than 1 is not supported with stream", 'invalid_request_error', 'n');
+    }
+
+    const modelError = await checkModel(model, 'chat');
+    if (modelError) {
+        return res.status(400).json({ error: { message: modelError, type: 'invalid_request_error', param: 'model', code: 'model_not_found' } });
+    }
+
+    const chatModel = model || DEFAULT_MODELS.chat;
+    res.locals.model = chatModel;
+    const options = {};
+    if (temperature !== undefined) options.temperature = temperature;
+    const maxTokens = max_completion_tokens ?? max_tokens;
+    if (maxTokens !== undefined) options.max_tokens = maxTokens;
+
+    const id = `chatcmpl-${uuidv4().replace(/-/g, '')}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    openAILog.info(`Messages: ${messages.length}, Model: ${chatModel}, Stream: ${!!stream}, N: ${n}`);
+
+    if (stream) {
+        if (scheduler.isFull()) {
+            res.setHeader('Retry-After', String(QUEUE_RETRY_AFTER));
+            return sendOpenAIError(res, 503, 'Request queue is full. Try again shortly.', 'api_error');
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        const writeChunk = (delta, finishReason = null) => {
+            return writeStream(res, `data: ${JSON.stringify({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: chatModel,
+                choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }]
+            })}\n\n`);
+        };
+
+        const filter = createStopFilter(stop);
+        // Errors are held back until the stream settles: a limit error is
+        // followed by a rotation and retry, and the client should only see the outcome
+        let lastError = null;
+
+        writeChunk({ role: 'assistant', content: '' });
+
+        let reply = '';
+        const { finishReason, usage: reported } = await streamChat(messages, chatModel, options, {
+            onText: (text) => {
+                const out = filter.push(text);
+                reply += out;
+                if (out) return writeChunk({ content: out });
+            },
+            onInfo: () => { lastError = null; },
+            onError: (error) => { lastError = error; },
+            // SSE comments: SDKs skip them, raw clients can still show the wait
+            onQueued: ({ position }) => res.write(`: queued position=${position}\n\n`),
+            isClosed: () => res.writableEnded || filter.stopped,
+            signal: abortOnDisconnect(req, res)
+        });
+
+        if (res.writableEnded || finishReason === 'cancelled') return;
+
+        const rest = filter.flush();
+        reply += rest;
+        if (rest) writeChunk({ content: rest });
+
+        if (finishReason === 'error' && !filter.stopped) {
+            const error = lastError || new ApiError('upstream_error', 'Stream failed');
+            res.locals.errorCode = error.code;
+            res.write(`data: ${JSON.stringify({ error: { message: error.message, type: toOpenAIErrorType(error.code), param: null, code: error.code } })}\n\n`);
+        } else {
+            writeChunk({}, filter.stopped ? 'stop' : toOpenAIFinishReason(finishReason));
+            const usage = buildUsage(reported, messages, reply);
+            recordUsage(chatModel, null, usage);
+            // Like OpenAI, usage only goes out as a trailing chunk when asked for
+            if (stream_options?.include_usage) {
+                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: chatModel, choices: [], usage: toOpenAIUsage(usage) })}\n\n`);
+            }
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+        return;
+    }
+
+    try {
+        const choices = [];
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        const queue = queueOptions(req, res);
+        for (let index = 0; index < n; index++) {
+            const result = await safeExecute('Chat', async (tab) => {
+                return await provider.chat(tab, messages, chatModel, options);
+            }, queue);
+
+            const { text, matched } = applyStopSequences(normalizeResponse(result).text, stop);
+            const choiceUsage = buildUsage(extractUsage(result), messages, text);
+            recordUsage(chatModel, null, choiceUsage);
+            // The prompt is the same for every choice, so it's counted once
+            if (index === 0) usage.prompt_tokens = choiceUsage.prompt_tokens;
+            usage.completion_tokens += choiceUsage.completion_tokens;
+            choices.push({
+                index,
+                message: { role: 'assistant', content: text },
+                logprobs: null,
+                finish_reason: matched ? 'stop' : toOpenAIFinishReason(getFinishReason(result))
+            });
+        }
+
+        usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+        res.json({ id, object: 'chat.completion', created, model: chatModel, choices, usage });
+
+    } catch (e) {
+        logRequestError(openAILog, e);
+        sendOpenAIFailure(res, e);
+    }
+});
+
+// =====================
+// Anthropic-Compatible API
+// =====================
+
+// Errors in the shape the anthropic SDK expects
+function sendAnthropicError(res, status, message, type = 'invalid_request_error') {
+    res.status(status).json({ type: 'error', error: { type, message } });
+}
+
+// Anthropic's error type for one of our error codes
+function toAnthropicErrorType(code) {
+    if (code === 'rate_limited' || code === 'upstream_quota') return 'rate_limit_error';
+    if (code === 'invalid_request' || code === 'content_filtered') return 'invalid_request_error';
+    if (code === 'unauthorized') return 'authentication_error';
+    if (code === 'forbidden') return 'permission_error';
+    if (code === 'not_found') return 'not_found_error';
+    if (code === 'queue_full' || code === 'session_unavailable') return 'overloaded_error';
+    return 'api_error';
+}
+
+function toAnthropicStopReason(reason) {
+    const r = String(reason || '').toLowerCase();
+    if (r === 'length' || r === 'max_tokens') return 'max_tokens';
+    return 'end_turn';
+}
+
+// Our usage object (see buildUsage) as Anthropic reports it
+function toAnthropicUsage(usage) {
+    return { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens };
+}
+
+// Converts Anthropic content blocks into the OpenAI-style parts puter.ai.chat takes.
+// Throws on block types we can't forward so the client gets a 400 instead of a silent drop.
+function fromAnthropicContent(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) throw new Error('content must be a string or an array of content blocks');
+
+    return content.map((block) => {
+        if (block?.type === 'text') return { type: 'text', text: block.text };
+        if (block?.type === 'image' && block.source) {
+            const url = block.source.type === 'base64'
+                ? `data:${block.source.media_type};base64,${block.source.data}`
+                : block.source.url;
+            return { type: 'image_url', image_url: { url } };
+        }
+        throw new Error(`unsupported content block type: ${block?.type}`);
+    });
+}
+
+// system + messages -> one message array for puter.ai.chat
+function fromAnthropicMessages(system, messages) {
+    const converted = [];
+    if (system) {
+        const text = typeof system === 'string'
+            ? system
+            : system.filter(b => b?.type === 'text').map(b => b.text).join('\n');
+        if (text) converted.push({ role: 'system', content: text });
+    }
+    messages.forEach((m, i) => {
+        if (!m || (m.role !== 'user' && m.role !== 'assistant')) {
+            throw new Error(`messages.${i}.role must be "user" or "assistant"`);
+        }
+        try {
+            converted.push({ role: m.role, content: fromAnthropicContent(m.content) });
+        } catch (e) {
+            throw new Error(`messages.${i}: ${e.message}`);
+        }
+    });
+    return converted;
+}
+
+app.post('/v1/messages', requireScope('chat'), rateLimit('chat'), async (req, res) => {
+    const { model, system, messages, max_tokens, stop_sequences, temperature, stream = false } = req.body || {};
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return sendAnthropicError(res, 400, 'messages: must be a non-empty array');
+    }
+    if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+        return sendAnthropicError(res, 400, 'max_tokens: must be a positive integer');
+    }
+
+    let input;
+    try {
+        input = fromAnthropicMessages(system, messages);
+    } catch (e) {
+        return sendAnthropicError(res, 400, e.message);
+    }
+
+    const modelError = await checkModel(model, 'chat');
+    if (modelError) return sendAnthropicError(res, 400, `model: ${modelError}`);
+
+    const chatModel = model || DEFAULT_MODELS.chat;
+    res.locals.model = chatModel;
+    const options = { max_tokens };
+    if (temperature !== undefined) options.temperature = temperature;
+    const id = `msg_${uuidv4().replace(/-/g, '')}`;
+
+    anthropicLog.info(`Messages: ${messages.length}, Model: ${chatModel}, Stream: ${!!stream}`);
+
+    if (stream) {
+        if (scheduler.isFull()) {
+            res.setHeader('Retry-After', String(QUEUE_RETRY_AFTER));
+            return sendAnthropicError(res, 503, 'Request queue is full. Try again shortly.', 'overloaded_error');
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        const writeEvent = (event, data) => {
+            return writeStream(res, `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+        };
+
+        const filter = createStopFilter(stop_sequences);
+        // Same as the OpenAI route: only the final outcome of a retried stream is reported
+        let lastError = null;
+
+        writeEvent('message_start', {
+            message: {
+                id,
+                type: 'message',
+                role: 'assistant',
+                model: chatModel,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: buildUsage(null, input, '').prompt_tokens, output_tokens: 0 }
+            }
+        });
+        writeEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+        writeEvent('ping', {});
+
+        const writeText = (text) => {
+            return writeEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+        };
+
+        let reply = '';
+        const { finishReason, usage: reported } = await streamChat(input, chatModel, options, {
+            onText: (text) => {
+                const out = filter.push(text);
+                reply += out;
+                if (out) return writeText(out);
+            },
+            onInfo: () => { lastError = null; },
+            onError: (error) => { lastError = error; },
+            // SSE comments: SDKs skip them, raw clients can still show the wait
+            onQueued: ({ position }) => res.write(`: queued position=${position}\n\n`),
+            isClosed: () => res.writableEnded || filter.stopped,
+            signal: abortOnDisconnect(req, res)
+        });
+
+        if (res.writableEnded || finishReason === 'cancelled') return;
+
+        const rest = filter.flush();
+        reply += rest;
+        if (rest) writeText(rest);
+
+        if (finishReason === 'error' && !filter.stopped) {
+            const error = lastError || new ApiError('upstream_error', 'Stream failed');
+            res.locals.errorCode = error.code;
+            writeEvent('error', { error: { type: toAnthropicErrorType(error.code), message: error.message } });
+        } else {
+            const usage = buildUsage(reported, input, reply);
+            recordUsage(chatModel, null, usage);
+            writeEvent('content_block_stop', { index: 0 });
+            writeEvent('message_delta', {
+                delta: {
+                    stop_reason: filter.stopped ? 'stop_sequence' : toAnthropicStopReason(finishReason),
+                    stop_sequence: filter.matched
+                },
+                usage: { output_tokens: usage.completion_tokens }
+            });
+            writeEvent('message_stop', {});
+        }
+        res.end();
+        return;
+    }
+
+    try {
+        const result = await safeExecute('Chat', async (tab) => {
+            return await provider.chat(tab, input, chatModel, options);
+        }, queueOptions(req, res));
+
+        const { text, matched } = applyStopSequences(normalizeResponse(result).text, stop_sequences);
+        const usage = buildUsage(extractUsage(result), input, text);
+        recordUsage(chatModel, null, usage);
+
+        res.json({
+            id,
+            type: 'message',
+            role: 'assistant',
+            model: chatModel,
+            content: [{ type: 'text', text }],
+            stop_reason: matched ? 'stop_sequence' : toAnthropicStopReason(getFinishReason(result)),
+            stop_sequence: matched,
+            usage: toAnthropicUsage(usage)
+        });
+
+    } catch (e) {
+        logRequestError(anthropicLog, e);
+        const error = classifyError(e);
+        res.locals.errorCode = error.code;
+        if (error.code === 'queue_full') res.setHeader('Retry-After', String(QUEUE_RETRY_AFTER));
+        sendAnthropicError(res, error.status, error.message, toAnthropicErrorType(error.code));
     }
 });
 
 // Health & Debug (Enhanced)
+// Open (the keep-alive ping uses it), so it only says whether the server can
+// take requests; session, queue and storage details are on /api/admin/health
 app.get('/api/health', (req, res) => {
-    const isReady = pool.primary && pool.primary.isReady && pool.primary.token;
+    const isReady = !!(pool.primary && pool.primary.isReady && pool.primary.token);
+    res.status(isReady ? 200 : 503).json({
+        status: isReady ? 'ready' : 'initializing',
+        ready: isReady,
+        provider: provider.name,
+        uptime: process.uptime()
+    });
+});
+
+app.get('/api/admin/health', requireScope('admin'), rateLimit(), (req, res) => {
+    const isReady = !!(pool.primary && pool.primary.isReady && pool.primary.token);
     
     res.status(isReady ? 200 : 503).json({
         status: isReady ? 'ready' : 'initializing',
         ready: isReady,
+        provider: provider.name,
         primary: {
             ready: pool.primary?.isReady || false,
             id: pool.primary?.id || null,
             activeRequests: pool.primary?.activeRequests || 0,
             hasToken: !!pool.primary?.token,
-            status: pool.primary?.status || 'unknown'
+            status: pool.primary?.status || 'unknown',
+            tabs: pool.primary?.tabs.status() || [],
+            streams: pool.primary?.bridge?.status() || null,
+            helpers: pool.primary?.helperStatus?.() || null
         },
+        queue: scheduler.getStatus(),
         cache: {
-            size: responseCache.size,
-            maxSize: 100
+            entries: responseCache.size,
+            bytes: responseCache.bytes,
+            maxBytes: responseCache.maxBytes
         },
         storage: {
-            chats: chatStore.data.chats.length,
-            hasToken: !!chatStore.data.lastToken
+            chats: chatStore.countChats(),
+            hasToken: chatStore.hasStoredToken()
         },
         uptime: process.uptime(),
         memory: process.memoryUsage()
     });
 });
 
-app.get('/debug', async (req, res) => {
+// Liveness: the process is up and its event loop answers. Stays 200 while
+// shutting down, so the orchestrator lets the drain finish instead of killing it.
+app.get('/livez', (req, res) => {
+    res.json({
+        status: 'alive',
+        shuttingDown: !!shutdownState.started,
+        uptime: process.uptime(),
+        memory: { rssBytes: process.memoryUsage().rss }
+    });
+});
+
+// Readiness: whether this instance should get traffic right now. Unlike
+// /api/health it says which check failed, and a slow first login only keeps
+// the instance out of rotation rather than getting it restarted.
+app.get('/readyz', (req, res) => {
+    const primary = pool.primary;
+    const tabs = primary?.tabs.status() || [];
+    let store = { ok: true };
+    try {
+        chatStore.countChats();
+    } catch (e) {
+        store = { ok: false, error: e.message };
+    }
+
+    const checks = {
+        shutdown: { ok: !shutdownState.started, signal: shutdownState.signal },
+        session: {
+            ok: !!(primary?.isReady && primary.token),
+            id: primary?.id ?? null,
+            status: primary?.status || 'none',
+            rotating: !!pool.isRotating,
+            uptime: primary ? (Date.now() - primary.createdAt) / 1000 : 0
+        },
+        tabs: {
+            ok: tabs.some(t => t.status === 'idle' || t.status === 'busy'),
+            usable: tabs.filter(t => t.status === 'idle' || t.status === 'busy').length,
+            total: tabs.length
+        },
+        queue: { ok: !scheduler.isFull(), waiting: scheduler.queue.length, maxDepth: scheduler.maxDepth },
+        store
+    };
+    const ready = Object.values(checks).every(c => c.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// Prometheus scrape target, admin only: the per-model and per-key labels show
+// who uses what. METRICS_PUBLIC=true opens it for scrapers that can't send a key.
+const metricsAccess = config.server.metricsPublic ? [] : [requireScope('admin'), rateLimit()];
+app.get('/metrics', ...metricsAccess, (req, res) => {
+    res.setHeader('Content-Type', MetricsRegistry.contentType);
+    res.send(metrics.render());
+});
+
+// Admin only: shows live screenshots of the browser sessions
+app.get('/debug', requireScope('admin'), rateLimit(), async (req, res) => {
     let html = '<html><body style="background:#222;color:#0f0;font-family:monospace;"><h1>Browser Status</h1>';
 
     const getSessInfo = async (s, name) => {
@@ -2337,34 +3862,37 @@ app.get('/debug', async (req, res) => {
 // Missing Endpoints & Listen Logic
 // =====================
 
-app.post('/api/auth/token', async (req, res) => {
+app.post('/api/auth/token', requireScope('admin'), rateLimit(), async (req, res) => {
     const { token } = req.body;
-    if (!token) return res.status(400).json({ error: 'Token required' });
+    if (!token) return sendError(res, 'invalid_request', 'Token required');
 
     try {
         pool.updateToken(token);
         res.json({ success: true, message: 'Token saved and synced' });
     } catch (e) {
-        console.error('[Auth] Error:', e);
-        res.status(500).json({ error: e.message });
+        logRequestError(authLog, e);
+        sendError(res, e);
     }
 });
 
 // Session Recovery Endpoint (for quick browser switch scenario)
-app.post('/api/session/recover', async (req, res) => {
+app.post('/api/session/recover', requireScope('admin'), rateLimit(), async (req, res) => {
     try {
         const { userId } = req.body;
         
-        console.log('[Session] Recovery requested...');
+        sessionLog.info('Recovery requested...');
         
-        // Get last known token
-        const lastToken = chatStore.getLastToken();
+        // Get last known token (refused outright when it can't be decrypted)
+        let lastToken;
+        try {
+            lastToken = chatStore.getLastToken();
+        } catch (e) {
+            sessionLog.error('Recovery refused', { error: e.message });
+            return sendError(res, new ApiError('session_unavailable', e.message, { details: { needsLogin: true } }));
+        }
         
         if (!lastToken) {
-            return res.status(404).json({ 
-                error: 'No previous session found',
-                needsLogin: true 
-            });
+            return sendError(res, new ApiError('not_found', 'No previous session found', { details: { needsLogin: true } }));
         }
 
         // Check if current session is healthy
@@ -2388,24 +3916,27 @@ app.post('/api/session/recover', async (req, res) => {
         });
 
     } catch (e) {
-        console.error('[Session] Recovery failed:', e);
-        res.status(500).json({ 
-            error: e.message,
-            needsLogin: true 
-        });
+        sessionLog.error('Recovery failed', { err: e });
+        const error = classifyError(e);
+        error.details = { needsLogin: true };
+        sendError(res, error);
     }
 });
 
 // Manual Token Extraction (for debugging)
-app.get('/api/session/extract-token', async (req, res) => {
+// Tokens, storage values and cookies are redacted unless ?reveal=true (audited)
+app.get('/api/session/extract-token', requireScope('admin'), rateLimit(), async (req, res) => {
     try {
+        const reveal = wantsReveal(req, res, 'session.extract-token.reveal');
+        if (reveal === null) return;
+
         const session = await pool.getSession();
         
         if (!session || !session.page) {
-            return res.status(503).json({ error: 'No active session' });
+            return sendError(res, 'session_unavailable', 'No active session');
         }
 
-        console.log('[Extract] Manually extracting token from browser console...');
+        extractLog.info('Manually extracting token from browser console...');
         
         const result = await session.page.evaluate(() => {
             const results = {
@@ -2454,69 +3985,312 @@ app.get('/api/session/extract-token', async (req, res) => {
             return results;
         });
         
-        console.log('[Extract] Raw result:', JSON.stringify(result, null, 2));
+        const redacted = {
+            ...result,
+            puterAuthToken: redactSecret(result.puterAuthToken),
+            puterAuthTokenValues: redactValues(result.puterAuthTokenValues),
+            localStorage: redactValues(result.localStorage),
+            sessionStorage: redactValues(result.sessionStorage),
+            cookies: redactCookies(result.cookies)
+        };
+        if (!result.puterAuthTokenValues) delete redacted.puterAuthTokenValues;
+
+        // The console only ever sees the redacted copy
+        extractLog.info('Result', { result: redacted });
         
         res.json({
             success: true,
-            data: result,
-            instructions: 'Check data.puterAuthToken or data.localStorage for token'
+            redacted: !reveal,
+            data: reveal ? result : redacted,
+            instructions: reveal
+                ? 'Check data.puterAuthToken or data.localStorage for token'
+                : 'Secrets are redacted. Repeat with ?reveal=true to see them (the request is audited).'
         });
 
     } catch (e) {
-        console.error('[Extract] Error:', e);
-        res.status(500).json({ error: e.message });
+        logRequestError(extractLog, e);
+        sendError(res, e);
     }
 });
 
+// Cache stats: hits, misses and hit ratio, overall and per endpoint
+app.get('/api/cache/stats', requireScope('admin'), rateLimit(), (req, res) => {
+    res.json(responseCache.getStats());
+});
+
 // Clear cache endpoint
-app.post('/api/cache/clear', (req, res) => {
+app.post('/api/cache/clear', requireScope('admin'), rateLimit(), (req, res) => {
     responseCache.clear();
     res.json({ success: true, message: 'Cache cleared' });
 });
 
 // Chat Management with Context
-app.get('/api/chats', (req, res) => res.json(chatStore.getAllChats()));
-
-app.post('/api/chats', (req, res) => {
-    const chat = chatStore.createChat(req.body.title, req.body.model);
+app.get('/api/chats', requireScope('chats:read'), rateLimit(), (req, res) => res.json(chatStore.getAllChats()));
+
+app.post('/api/chats', requireScope('chats:write'), rateLimit(), (req, res) => {
+    const { title, model, preset } = req.body;
+    let presetId = null;
+    if (preset) {
+        const found = chatStore.getPreset(preset);
+        if (!found) return sendError(res, 'invalid_request', `Unknown preset "${preset}"`);
+        presetId = found.id;
+    }
+    const chat = chatStore.createChat(title, model || DEFAULT_MODELS.chat, presetId);
     res.status(201).json(chat);
 });
 
-app.get('/api/chats/:id', (req, res) => {
+app.get('/api/chats/:id', requireScope('chats:read'), rateLimit(), (req, res) => {
     const chat = chatStore.getChat(req.params.id);
-    if (!chat) return res.status(404).json({ error: 'Chat not found' });
-    res.json(chat);
+    if (!chat) return sendError(res, 'not_found', 'Chat not found');
+    res.json({ ...chat, usage: chatStore.getTokenUsage({ chatId: chat.id }) });
 });
 
-app.delete('/api/chats/:id', (req, res) => {
-    const index = chatStore.data.chats.findIndex(c => c.id === req.params.id);
-    if (index === -1) return res.status(404).json({ error: 'Chat not found' });
-    chatStore.data.chats.splice(index, 1);
-    chatStore.save();
+app.delete('/api/chats/:id', requireScope('chats:write'), rateLimit(), (req, res) => {
+    if (!chatStore.deleteChat(req.params.id)) return sendError(res, 'not_found', 'Chat not found');
     res.json({ success: true });
 });
 
 
-// Start (Only if running directly)
-if (require.main === module) {
-    app.listen(PORT, '0.0.0.0', () => {
-        console.log(`Server v2 running on ${PORT}`);
+// System Prompt Presets
+app.get('/api/presets', requireScope('chats:read'), rateLimit(), (req, res) => res.json(chatStore.getAllPresets()));
+
+app.post('/api/presets', requireScope('chats:write'), rateLimit(), (req, res) => {
+    const { name, system } = req.body;
+    if (!name || typeof name !== 'string') return sendError(res, 'invalid_request', 'Preset name required');
+    if (!system || typeof system !== 'string') return sendError(res, 'invalid_request', 'Preset system prompt required');
+    if (chatStore.getPreset(name)) return sendError(res, 'conflict', `Preset "${name}" already exists`);
+
+    res.status(201).json(chatStore.createPreset(name, system));
+});
+
+app.get('/api/presets/:id', requireScope('chats:read'), rateLimit(), (req, res) => {
+    const preset = chatStore.getPreset(req.params.id);
+    if (!preset) return sendError(res, 'not_found', 'Preset not found');
+    res.json(preset);
+});
+
+app.put('/api/presets/:id', requireScope('chats:write'), rateLimit(), (req, res) => {
+    const preset = chatStore.getPreset(req.params.id);
+    if (!preset) return sendError(res, 'not_found', 'Preset not found');
+
+    const { name, system } = req.body;
+    if (name !== undefined && (!name || typeof name !== 'string')) return sendError(res, 'invalid_request', 'Preset name must be a non-empty string');
+    if (system !== undefined && (!system || typeof system !== 'string')) return sendError(res, 'invalid_request', 'Preset system prompt must be a non-empty string');
+    const clash = name && chatStore.getPreset(name);
+    if (clash && clash.id !== preset.id) return sendError(res, 'conflict', `Preset "${name}" already exists`);
+
+    res.json(chatStore.updatePreset(preset.id, { name, system }));
+});
+
+app.delete('/api/presets/:id', requireScope('chats:write'), rateLimit(), (req, res) => {
+    const preset = chatStore.getPreset(req.params.id);
+    if (!preset) return sendError(res, 'not_found', 'Preset not found');
+    const detachedChats = chatStore.deletePreset(preset.id);
+    res.json({ success: true, detachedChats });
+});
+
+
+// Usage & Quotas for the calling key (admins may pass ?keyId=)
+app.get('/api/usage', requireScope(), rateLimit(), (req, res) => {
+    let apiKey = req.apiKey;
+    if (req.query.keyId && req.query.keyId !== apiKey.id) {
+        if (!apiKey.scopes.includes('admin')) return sendError(res, 'forbidden', 'Only admin keys can read another key\'s usage');
+        apiKey = chatStore.listApiKeys().find(k => k.id === req.query.keyId);
+        if (!apiKey) return sendError(res, 'not_found', 'Key not found');
+    }
+
+    const limits = getKeyLimits(apiKey);
+    const periods = getQuotaPeriods();
+    const used = chatStore.getUsage(apiKey.id, [periods.daily.period, periods.monthly.period]);
+    const state = getRateState(apiKey.id);
+
+    res.json({
+        key: { id: apiKey.id, name: apiKey.name },
+        rate: {
+            limit: limits.rpm,
+            used: state.count,
+            resetsAt: new Date(state.windowStart + 60000).toISOString(),
+            concurrent: { limit: limits.concurrent, active: state.active }
+        },
+        quotas: Object.fromEntries(QUOTA_FAMILIES.map(family => [family, Object.fromEntries(['daily', 'monthly'].map(kind => [kind, {
+            limit: limits.quotas[family][kind] ?? null,
+            used: used[family]?.[periods[kind].period] || 0,
+            resetsAt: new Date(periods[kind].resetsAt).toISOString()
+        }]))]))
+    });
+});
+
+// Token usage per model, for everything or one chat (?chatId=)
+app.get('/api/usage/tokens', requireScope('admin'), rateLimit(), (req, res) => {
+    res.json(chatStore.getTokenUsage({ chatId: req.query.chatId || null }));
+});
+
+// Audit Log (newest first, ?limit= up to 1000)
+app.get('/api/admin/audit', requireScope('admin'), rateLimit(), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json(chatStore.getAuditLog(limit));
+});
+
+// Effective Configuration, secrets masked. sources says where each value came
+// from: "default", "file" (CONFIG_FILE) or the env var that set it.
+app.get('/api/admin/config', requireScope('admin'), rateLimit(), (req, res) => {
+    res.json({ file: configFile, config: redactConfig(config), sources: configSources });
+});
+
+// Token Encryption Keys: status, and re-encrypting stored tokens with the
+// current key so older ones can be dropped from TOKEN_ENCRYPTION_KEYS
+app.get('/api/admin/token-key', requireScope('admin'), rateLimit(), (req, res) => {
+    res.json(chatStore.getTokenKeyStatus());
+});
+
+app.post('/api/admin/token-key/rotate', requireScope('admin'), rateLimit(), (req, res) => {
+    try {
+        const result = chatStore.rotateTokenKey();
+        audit(req, 'token-key.rotate', `${result.reencrypted} re-encrypted with ${result.keyId}, ${result.unreadable} unreadable`);
+        res.json({ ...result, ...chatStore.getTokenKeyStatus() });
+    } catch (e) {
+        sendError(res, 'conflict', e.message);
+    }
+});
+
+// API Key Administration
+app.get('/api/admin/keys', requireScope('admin'), rateLimit(), (req, res) => res.json(chatStore.listApiKeys()));
+
+app.post('/api/admin/keys', requireScope('admin'), rateLimit(), (req, res) => {
+    const { name, scopes, limits } = req.body;
+    if (!name || typeof name !== 'string') return sendError(res, 'invalid_request', 'Key name required');
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return sendError(res, 'invalid_request', `scopes must be a non-empty array of: ${API_SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(s => !API_SCOPES.includes(s));
+    if (unknown.length) return sendError(res, 'invalid_request', `Unknown scopes: ${unknown.join(', ')}`);
+    const limitsError = limits !== undefined && validateLimits(limits);
+    if (limitsError) return sendError(res, 'invalid_request', limitsError);
+
+    const created = chatStore.createApiKey(name, [...new Set(scopes)]);
+    if (limits) {
+        chatStore.setApiKeyLimits(created.id, limits);
+        created.limits = limits;
+    }
+    authLog.info(`Key "${name}" (${created.prefix}…) issued by ${req.apiKey.name} with scopes: ${created.scopes.join(', ')}`);
+    // The only time the key itself is ever shown
+    res.status(201).json(created);
+});
+
+// Replaces a key's limit overrides (null falls back to the defaults)
+app.put('/api/admin/keys/:id/limits', requireScope('admin'), rateLimit(), (req, res) => {
+    const limits = req.body.limits === undefined ? req.body : req.body.limits;
+    const limitsError = limits !== null && validateLimits(limits);
+    if (limitsError) return sendError(res, 'invalid_request', limitsError);
+    if (!chatStore.setApiKeyLimits(req.params.id, limits)) return sendError(res, 'not_found', 'Key not found');
+    authLog.info(`Limits for key ${req.params.id} updated by ${req.apiKey.name}`);
+    res.json(chatStore.listApiKeys().find(k => k.id === req.params.id));
+});
+
+app.delete('/api/admin/keys/:id', requireScope('admin'), rateLimit(), (req, res) => {
+    if (!chatStore.revokeApiKey(req.params.id)) return sendError(res, 'not_found', 'Key not found');
+    authLog.info(`Key ${req.params.id} revoked by ${req.apiKey.name}`);
+    res.json({ success: true });
+});
+
+// Unknown API routes answer in the error envelope rather than Express's HTML page
+app.use('/api', (req, res) => sendError(res, 'not_found', `No route for ${req.method} ${req.originalUrl}`));
+
+// Anything a route or middleware passed to next(err), in the same envelope.
+// Body parser failures (bad JSON, over the size limit) are the client's fault.
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large' || (err.status >= 400 && err.status < 500)) {
+        return sendError(res, 'invalid_request', err.message);
+    }
+    log.error('Unhandled error', { err });
+    sendError(res, err);
+});
+
+
+// =====================
+// Graceful Shutdown
+// =====================
+// SIGTERM/SIGINT: stop taking requests, let queued and running calls finish
+// (up to SHUTDOWN_TIMEOUT_MS), then close the browsers and the store. A second
+// signal exits at once.
+const SHUTDOWN_TIMEOUT_MS = config.server.shutdownTimeoutMs;
+const shutdownState = { started: null, signal: null };
+let server = null;
+
+async function shutdown(signal) {
+    if (shutdownState.started) {
+        log.warn(`${signal} received again, exiting without waiting`);
+        process.exit(1);
+    }
+    shutdownState.started = Date.now();
+    shutdownState.signal = signal;
+    log.warn(`${signal} received, shutting down`, { timeoutMs: SHUTDOWN_TIMEOUT_MS, running: scheduler.running, queued: scheduler.queue.length });
+
+    clearInterval(keepAliveTimer);
+
+    // Connections are still accepted while draining, so /readyz can tell the
+    // load balancer to stop routing here and new requests get a 503
+    // shutting_down they can retry elsewhere (every response closes its connection)
+    const drained = await scheduler.drain(SHUTDOWN_TIMEOUT_MS);
+    if (!drained) {
+        const dropped = scheduler.rejectQueued(new ApiError('shutting_down', 'Server shut down before this request got a browser slot'));
+        log.warn('Drain deadline passed', { dropped, stillRunning: scheduler.running });
+        // A moment for the dropped requests to send their 503 before sockets close
+        await new Promise(r => setTimeout(r, 200));
+    }
+    if (server) {
+        // Stop listening and drop idle sockets. Responses still writing their
+        // last frames (a stream's usage, [DONE]) get until the deadline; only
+        // then, or if draining already ran out of time, are sockets cut.
+        const closed = new Promise(resolve => server.close(resolve));
+        server.closeIdleConnections();
+        if (drained) {
+            const remainingMs = Math.max(0, SHUTDOWN_TIMEOUT_MS - (Date.now() - shutdownState.started));
+            await Promise.race([closed, new Promise(r => setTimeout(r, remainingMs))]);
+        }
+        server.closeAllConnections();
+    }
+
+    try {
+        await pool.close();
+        log.info('Browser sessions closed');
+    } catch (e) {
+        log.error('Closing browser sessions failed', { err: e });
+    }
+    try {
+        chatStore.flush();
+        chatStore.close();
+        log.info('Store flushed and closed');
+    } catch (e) {
+        log.error('Closing the store failed', { err: e });
+    }
+
+    log.info('Shutdown complete', { drained, durationMs: Date.now() - shutdownState.started });
+    process.exit(0);
+}
+
+function startServer() {
+    server = app.listen(PORT, '0.0.0.0', () => {
+        log.info(`Server v2 running on ${PORT}`);
         pool.init();
         startKeepAlive();
     });
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    return server;
+}
+
+// Start (Only if running directly)
+if (require.main === module) {
+    startServer();
 }
 
 // Exports for server.js compatibility
 module.exports = {
     // If server.js wants to mount us:
     app,
-    start: () => {
-        app.listen(PORT, '0.0.0.0', () => {
-            console.log(`Server v2 running on ${PORT}`);
-            pool.init();
-            startKeepAlive();
-        });
-    },
+    start: startServer,
     // Keep old controller interface just in case
     init: () => { pool.init(); },
     getStatus: () => ({ isReady: pool.primary?.isReady, isLoggedIn: !!pool.primary?.token }),
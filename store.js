@@ -0,0 +1,647 @@
+// Persistent Storage Manager (SQLite)
+// Chats, messages, tokens and presets live in one SQLite file instead of a
+// JSON blob that was rewritten on every change. Writes are row-level and
+// journaled (WAL), so a crash mid-write can no longer corrupt the store.
+// Puter tokens are only ever written encrypted (see TokenCipher).
+
+const fsSync = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Store');
+
+// Schema history. Each entry runs once, in order, inside a transaction;
+// PRAGMA user_version records how far a database file has been migrated.
+// Never edit a shipped migration - append a new one.
+const MIGRATIONS = [
+    // 1: initial schema
+    (db) => db.exec(`
+        CREATE TABLE chats (
+            id TEXT PRIMARY KEY,
+            title TEXT NOT NULL,
+            model TEXT NOT NULL,
+            preset TEXT,
+            created_at TEXT NOT NULL
+        );
+        CREATE TABLE messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chat_id TEXT NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+            role TEXT NOT NULL,
+            content TEXT NOT NULL,
+            timestamp TEXT NOT NULL
+        );
+        CREATE INDEX idx_messages_chat ON messages(chat_id, id);
+        CREATE TABLE tokens (
+            user_id TEXT PRIMARY KEY,
+            token TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT
+        );
+        CREATE TABLE presets (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE,
+            system TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT
+        );
+        CREATE TABLE meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+    `),
+    // 2: API keys (only the SHA-256 of a key is ever stored)
+    (db) => db.exec(`
+        CREATE TABLE api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            prefix TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            scopes TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT,
+            revoked_at TEXT
+        );
+    `),
+    // 3: per-key limit overrides and quota accounting.
+    // period is "day:YYYY-MM-DD" or "month:YYYY-MM" (UTC)
+    (db) => db.exec(`
+        ALTER TABLE api_keys ADD COLUMN limits TEXT;
+        CREATE TABLE usage_counters (
+            key_id TEXT NOT NULL,
+            family TEXT NOT NULL,
+            period TEXT NOT NULL,
+            count INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (key_id, family, period)
+        );
+    `),
+    // 4: token usage totals per model and chat ('' = not part of a chat)
+    (db) => db.exec(`
+        CREATE TABLE token_usage (
+            model TEXT NOT NULL,
+            chat_id TEXT NOT NULL DEFAULT '',
+            requests INTEGER NOT NULL DEFAULT 0,
+            estimated_requests INTEGER NOT NULL DEFAULT 0,
+            prompt_tokens INTEGER NOT NULL DEFAULT 0,
+            completion_tokens INTEGER NOT NULL DEFAULT 0,
+            total_tokens INTEGER NOT NULL DEFAULT 0,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (model, chat_id)
+        );
+    `),
+    // 5: audit trail for sensitive admin actions
+    (db) => db.exec(`
+        CREATE TABLE audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            at TEXT NOT NULL,
+            action TEXT NOT NULL,
+            key_id TEXT,
+            key_name TEXT,
+            ip TEXT,
+            detail TEXT
+        );
+    `),
+    // 6: function calling: an assistant turn's tool calls, and which call a
+    // role "tool" message answers (both null for plain messages)
+    (db) => db.exec(`
+        ALTER TABLE messages ADD COLUMN tool_calls TEXT;
+        ALTER TABLE messages ADD COLUMN tool_call_id TEXT;
+    `)
+];
+
+// Stored tokens look like enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64 parts)
+const TOKEN_PREFIX = 'enc:v1:';
+
+// AES-256-GCM over token values. The key id travels with each value (and is
+// bound in as associated data) so older keys can still decrypt during a rotation.
+class TokenCipher {
+    constructor(keys = []) {
+        this.keys = keys;
+    }
+
+    get current() {
+        return this.keys[0] || null;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+    }
+
+    keyIdOf(value) {
+        return this.isEncrypted(value) ? value.slice(TOKEN_PREFIX.length).split(':')[0] : null;
+    }
+
+    encrypt(plaintext) {
+        if (!this.current) throw new Error('No token encryption key configured');
+        const { id, key } = this.current;
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from(id));
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return TOKEN_PREFIX + [id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+    }
+
+    decrypt(value) {
+        const [id, iv, tag, data] = value.slice(TOKEN_PREFIX.length).split(':');
+        const entry = this.keys.find(k => k.id === id);
+        if (!entry) throw new Error(`Token was encrypted with key "${id}", which is not configured`);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64'));
+        decipher.setAAD(Buffer.from(id));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    }
+}
+
+// Keys are long random strings, so a plain SHA-256 is enough to store them safely
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Ids stay the Date.now() strings the JSON store used; bump on collision
+let lastId = 0;
+function newId() {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId.toString();
+}
+
+class PersistentStore {
+    // legacyJsonPath: a chat_store.json from before the SQLite store, imported once
+    // tokenKeys: parseTokenKeys() output (config.js); without keys Puter tokens aren't persisted
+    constructor(filePath, { legacyJsonPath = null, tokenKeys = [] } = {}) {
+        this.filePath = filePath;
+        this.tokenCipher = new TokenCipher(tokenKeys);
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+        if (legacyJsonPath) this.importLegacyJson(legacyJsonPath);
+        this.encryptPlaintextTokens();
+    }
+
+    migrate() {
+        const current = this.db.pragma('user_version', { simple: true });
+        for (let version = current; version < MIGRATIONS.length; version++) {
+            this.db.transaction(() => {
+                MIGRATIONS[version](this.db);
+                this.db.pragma(`user_version = ${version + 1}`);
+            })();
+            log.info(`Migrated schema to v${version + 1}`);
+        }
+    }
+
+    getMeta(key) {
+        return this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+            .run(key, value);
+    }
+
+    // One-time import of the old JSON store. The file is renamed afterwards so
+    // it is obvious it's no longer read, and the import is recorded in meta.
+    // Its tokens are only imported once an encryption key is configured (they
+    // would otherwise land in the database in plaintext); until then the file
+    // stays where it is so a later start with a key can pick them up.
+    // A deployment upgrading from the JSON store keeps its file at
+    // LEGACY_STORE_PATH and starts once with TOKEN_ENCRYPTION_KEYS set. The
+    // chat_store.json that used to be tracked in git is not such a file: its
+    // token is readable in the repository history, so it is to be revoked at
+    // Puter, never imported.
+    importLegacyJson(jsonPath) {
+        if (!fsSync.existsSync(jsonPath)) return;
+
+        let data;
+        try {
+            data = JSON.parse(fsSync.readFileSync(jsonPath, 'utf8'));
+        } catch (e) {
+            log.warn(`Legacy import skipped, ${jsonPath} is unreadable`, { error: e.message });
+            return;
+        }
+
+        const tokens = (data.tokens || []).filter(t => t.token);
+        const hasTokens = tokens.length > 0 || !!data.lastToken;
+        const importData = !this.getMeta('legacy_json_imported');
+        const importTokens = hasTokens && !!this.tokenCipher.current;
+        if (!importData && !importTokens) {
+            if (hasTokens) log.warn(`${jsonPath} still holds tokens; set TOKEN_ENCRYPTION_KEYS to import them`);
+            return;
+        }
+
+        const insertChat = this.db.prepare('INSERT OR IGNORE INTO chats (id, title, model, preset, created_at) VALUES (?, ?, ?, ?, ?)');
+        const insertMessage = this.db.prepare('INSERT INTO messages (chat_id, role, content, timestamp) VALUES (?, ?, ?, ?)');
+        const insertToken = this.db.prepare('INSERT OR REPLACE INTO tokens (user_id, token, created_at, updated_at) VALUES (?, ?, ?, ?)');
+        const insertPreset = this.db.prepare('INSERT OR IGNORE INTO presets (id, name, system, created_at, updated_at) VALUES (?, ?, ?, ?, ?)');
+
+        this.db.transaction(() => {
+            if (importData) {
+                for (const chat of data.chats || []) {
+                    const { changes } = insertChat.run(chat.id, chat.title || 'New Chat', chat.model || 'unknown', chat.preset || null, chat.createdAt || new Date().toISOString());
+                    if (!changes) continue;
+                    for (const m of chat.messages || []) {
+                        insertMessage.run(chat.id, m.role, JSON.stringify(m.content ?? ''), m.timestamp || new Date().toISOString());
+                    }
+                }
+                for (const p of data.presets || []) {
+                    insertPreset.run(p.id, p.name, p.system, p.createdAt || new Date().toISOString(), p.updatedAt || null);
+                }
+                this.setMeta('legacy_json_imported', new Date().toISOString());
+            }
+            if (importTokens) {
+                for (const t of tokens) {
+                    insertToken.run(t.userId || 'default', this.tokenCipher.encrypt(t.token), t.createdAt || new Date().toISOString(), t.updatedAt || null);
+                }
+                if (data.lastToken) this.setMeta('last_token', this.tokenCipher.encrypt(data.lastToken));
+            }
+        })();
+
+        if (importData) log.info(`Imported ${(data.chats || []).length} chats from ${jsonPath}`);
+        if (importTokens) log.info(`Imported ${tokens.length} tokens from ${jsonPath} (encrypted)`);
+        if (hasTokens && !importTokens) {
+            log.warn(`Tokens in ${jsonPath} not imported: set TOKEN_ENCRYPTION_KEYS and restart to import them`);
+            return;
+        }
+        try {
+            // The kept copy loses its plaintext tokens; they live (encrypted) in the database now
+            const { tokens: _tokens, lastToken, ...rest } = data;
+            fsSync.writeFileSync(`${jsonPath}.imported`, JSON.stringify(rest, null, 2));
+            fsSync.unlinkSync(jsonPath);
+        } catch (e) {
+            log.warn(`Could not retire ${jsonPath}`, { error: e.message });
+        }
+    }
+
+    // Row -> the chat shape the API has always returned
+    toChat(row, withMessages = true) {
+        const chat = {
+            id: row.id,
+            title: row.title,
+            model: row.model,
+            preset: row.preset,
+            createdAt: row.created_at
+        };
+        if (withMessages) {
+            chat.messages = this.db.prepare('SELECT role, content, tool_calls, tool_call_id, timestamp FROM messages WHERE chat_id = ? ORDER BY id')
+                .all(row.id)
+                .map(m => ({
+                    role: m.role,
+                    content: JSON.parse(m.content),
+                    ...(m.tool_calls ? { tool_calls: JSON.parse(m.tool_calls) } : {}),
+                    ...(m.tool_call_id ? { tool_call_id: m.tool_call_id } : {}),
+                    timestamp: m.timestamp
+                }));
+        }
+        return chat;
+    }
+
+    getAllChats() {
+        return this.db.prepare('SELECT * FROM chats ORDER BY created_at, id').all().map(row => this.toChat(row));
+    }
+
+    countChats() {
+        return this.db.prepare('SELECT COUNT(*) AS n FROM chats').get().n;
+    }
+
+    createChat(title, model, preset = null) {
+        const chat = {
+            id: newId(),
+            title: title || 'New Chat',
+            model,
+            preset,
+            createdAt: new Date().toISOString(),
+            messages: []
+        };
+        this.db.prepare('INSERT INTO chats (id, title, model, preset, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run(chat.id, chat.title, chat.model, chat.preset, chat.createdAt);
+        return chat;
+    }
+
+    getChat(id) {
+        const row = this.db.prepare('SELECT * FROM chats WHERE id = ?').get(id);
+        return row ? this.toChat(row) : undefined;
+    }
+
+    deleteChat(id) {
+        return this.db.prepare('DELETE FROM chats WHERE id = ?').run(id).changes > 0;
+    }
+
+    // toolCalls: an assistant turn's (normalized) tool calls; toolCallId: the
+    // call a role "tool" message is the result of
+    addMessage(chatId, role, content, { toolCalls = null, toolCallId = null } = {}) {
+        this.db.prepare(`
+            INSERT INTO messages (chat_id, role, content, tool_calls, tool_call_id, timestamp)
+            SELECT id, ?, ?, ?, ?, ? FROM chats WHERE id = ?
+        `).run(role, JSON.stringify(content ?? ''), toolCalls?.length ? JSON.stringify(toolCalls) : null, toolCallId, new Date().toISOString(), chatId);
+    }
+
+    // Without an encryption key the token is not written at all - never in plaintext
+    saveToken(token, userId = 'default') {
+        if (!token) return;
+        if (!this.tokenCipher.current) {
+            log.warn('TOKEN_ENCRYPTION_KEYS not set - token not persisted');
+            return;
+        }
+        const sealed = this.tokenCipher.encrypt(token);
+        const now = new Date().toISOString();
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO tokens (user_id, token, created_at) VALUES (?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET token = excluded.token, updated_at = ?
+            `).run(userId, sealed, now, now);
+            this.setMeta('last_token', sealed);
+        })();
+    }
+
+    hasStoredToken() {
+        return !!this.getMeta('last_token');
+    }
+
+    // Decrypted last token for session recovery. Throws (code TOKEN_KEY_MISSING)
+    // rather than fall back to anything unencrypted when no key is configured.
+    getLastToken() {
+        const stored = this.getMeta('last_token');
+        if (!stored) return null;
+        if (!this.tokenCipher.current) {
+            const err = new Error('TOKEN_ENCRYPTION_KEYS is not set - refusing to recover from stored tokens');
+            err.code = 'TOKEN_KEY_MISSING';
+            throw err;
+        }
+        return this.tokenCipher.decrypt(stored);
+    }
+
+    // Every stored token value, as { value, write(newValue) }
+    storedTokens() {
+        const rows = this.db.prepare('SELECT user_id, token FROM tokens').all().map(row => ({
+            value: row.token,
+            write: (value) => this.db.prepare('UPDATE tokens SET token = ? WHERE user_id = ?').run(value, row.user_id)
+        }));
+        const last = this.getMeta('last_token');
+        if (last) rows.push({ value: last, write: (value) => this.setMeta('last_token', value) });
+        return rows;
+    }
+
+    // Encrypts tokens left in plaintext by older versions (or a legacy import)
+    encryptPlaintextTokens() {
+        const plaintext = this.storedTokens().filter(t => !this.tokenCipher.isEncrypted(t.value));
+        if (!plaintext.length) return 0;
+        if (!this.tokenCipher.current) {
+            log.warn(`${plaintext.length} plaintext token(s) stored; set TOKEN_ENCRYPTION_KEYS to encrypt them`);
+            return 0;
+        }
+        this.db.transaction(() => {
+            for (const t of plaintext) t.write(this.tokenCipher.encrypt(t.value));
+        })();
+        log.info(`Encrypted ${plaintext.length} plaintext token(s) with key ${this.tokenCipher.current.id}`);
+        return plaintext.length;
+    }
+
+    // Re-encrypts every token with the current key so older keys can be retired.
+    // Tokens sealed with a key that is no longer configured are left alone.
+    rotateTokenKey() {
+        if (!this.tokenCipher.current) throw new Error('No token encryption key configured');
+        const currentId = this.tokenCipher.current.id;
+        const result = { keyId: currentId, reencrypted: 0, unreadable: 0 };
+        this.db.transaction(() => {
+            for (const t of this.storedTokens()) {
+                if (this.tokenCipher.keyIdOf(t.value) === currentId) continue;
+                let plaintext = t.value;
+                if (this.tokenCipher.isEncrypted(t.value)) {
+                    try {
+                        plaintext = this.tokenCipher.decrypt(t.value);
+                    } catch (e) {
+                        result.unreadable++;
+                        continue;
+                    }
+                }
+                t.write(this.tokenCipher.encrypt(plaintext));
+                result.reencrypted++;
+            }
+        })();
+        return result;
+    }
+
+    // Which keys are configured and which ones the stored tokens are sealed with
+    getTokenKeyStatus() {
+        const storedByKey = {};
+        for (const t of this.storedTokens()) {
+            const id = this.tokenCipher.keyIdOf(t.value) || 'plaintext';
+            storedByKey[id] = (storedByKey[id] || 0) + 1;
+        }
+        return {
+            currentKeyId: this.tokenCipher.current?.id || null,
+            configuredKeyIds: this.tokenCipher.keys.map(k => k.id),
+            storedByKey
+        };
+    }
+
+    // System prompt presets
+    getAllPresets() {
+        return this.db.prepare('SELECT * FROM presets ORDER BY created_at, id').all().map(toPreset);
+    }
+
+    // Presets can be referenced by id or by name
+    getPreset(idOrName) {
+        const row = this.db.prepare('SELECT * FROM presets WHERE id = ? OR name = ? LIMIT 1').get(idOrName, idOrName);
+        return row ? toPreset(row) : undefined;
+    }
+
+    createPreset(name, system) {
+        const preset = {
+            id: newId(),
+            name,
+            system,
+            createdAt: new Date().toISOString()
+        };
+        this.db.prepare('INSERT INTO presets (id, name, system, created_at) VALUES (?, ?, ?, ?)')
+            .run(preset.id, preset.name, preset.system, preset.createdAt);
+        return preset;
+    }
+
+    updatePreset(id, fields) {
+        const preset = this.db.prepare('SELECT * FROM presets WHERE id = ?').get(id);
+        if (!preset) return null;
+        this.db.prepare('UPDATE presets SET name = ?, system = ?, updated_at = ? WHERE id = ?')
+            .run(fields.name ?? preset.name, fields.system ?? preset.system, new Date().toISOString(), id);
+        return this.getPreset(id);
+    }
+
+    // Chats created with the preset keep going without a system prompt.
+    // Returns how many chats were detached from it.
+    deletePreset(id) {
+        return this.db.transaction(() => {
+            this.db.prepare('DELETE FROM presets WHERE id = ?').run(id);
+            return this.db.prepare('UPDATE chats SET preset = NULL WHERE preset = ?').run(id).changes;
+        })();
+    }
+
+    // API keys. createApiKey is the only place the plaintext key is ever returned.
+    createApiKey(name, scopes) {
+        const key = `pk_${crypto.randomBytes(32).toString('base64url')}`;
+        const record = {
+            id: newId(),
+            name,
+            prefix: key.slice(0, 10),
+            scopes,
+            createdAt: new Date().toISOString()
+        };
+        this.db.prepare('INSERT INTO api_keys (id, name, prefix, key_hash, scopes, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(record.id, record.name, record.prefix, hashApiKey(key), JSON.stringify(scopes), record.createdAt);
+        return { ...record, key };
+    }
+
+    // Looks up an active key by its plaintext value
+    findApiKey(key) {
+        const row = this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashApiKey(key));
+        return row ? toApiKey(row) : null;
+    }
+
+    listApiKeys() {
+        return this.db.prepare('SELECT * FROM api_keys ORDER BY created_at, id').all().map(toApiKey);
+    }
+
+    // limits: { rpm, concurrent, quotas: { family: { daily, monthly } } }, null clears overrides
+    setApiKeyLimits(id, limits) {
+        return this.db.prepare('UPDATE api_keys SET limits = ? WHERE id = ?')
+            .run(limits ? JSON.stringify(limits) : null, id).changes > 0;
+    }
+
+    revokeApiKey(id) {
+        return this.db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+            .run(new Date().toISOString(), id).changes > 0;
+    }
+
+    // Throttled to one write a minute per key so auth doesn't turn every request into a write
+    touchApiKey(id) {
+        const now = new Date();
+        this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)')
+            .run(now.toISOString(), id, new Date(now.getTime() - 60000).toISOString());
+    }
+
+    // Quota accounting. checks: [{ period, limit }]; limit null = unlimited.
+    // Atomically verifies every period is under its limit and, only if so,
+    // counts the request against all of them. Returns { allowed, counts, exceeded }.
+    consumeQuota(keyId, family, checks) {
+        const read = this.db.prepare('SELECT count FROM usage_counters WHERE key_id = ? AND family = ? AND period = ?');
+        const bump = this.db.prepare(`
+            INSERT INTO usage_counters (key_id, family, period, count) VALUES (?, ?, ?, 1)
+            ON CONFLICT(key_id, family, period) DO UPDATE SET count = count + 1
+        `);
+
+        return this.db.transaction(() => {
+            const counts = {};
+            for (const { period } of checks) {
+                counts[period] = read.get(keyId, family, period)?.count || 0;
+            }
+            const full = checks.find(({ period, limit }) => limit !== null && limit !== undefined && counts[period] >= limit);
+            if (full) return { allowed: false, counts, exceeded: full.period };
+            for (const { period } of checks) {
+                bump.run(keyId, family, period);
+                counts[period]++;
+            }
+            return { allowed: true, counts, exceeded: null };
+        })();
+    }
+
+    // Takes back what consumeQuota counted, for a request that was turned away
+    refundQuota(keyId, family, periods) {
+        const drop = this.db.prepare('UPDATE usage_counters SET count = count - 1 WHERE key_id = ? AND family = ? AND period = ? AND count > 0');
+        this.db.transaction(() => {
+            for (const period of periods) drop.run(keyId, family, period);
+        })();
+    }
+
+    // { family: { period: count } } for the given periods
+    getUsage(keyId, periods) {
+        const rows = this.db.prepare(`
+            SELECT family, period, count FROM usage_counters
+            WHERE key_id = ? AND period IN (${periods.map(() => '?').join(', ')})
+        `).all(keyId, ...periods);
+        const usage = {};
+        for (const row of rows) {
+            (usage[row.family] = usage[row.family] || {})[row.period] = row.count;
+        }
+        return usage;
+    }
+
+    // usage: { prompt_tokens, completion_tokens, total_tokens, estimated }
+    recordTokenUsage(model, chatId, usage) {
+        this.db.prepare(`
+            INSERT INTO token_usage (model, chat_id, requests, estimated_requests, prompt_tokens, completion_tokens, total_tokens, updated_at)
+            VALUES (?, ?, 1, ?, ?, ?, ?, ?)
+            ON CONFLICT(model, chat_id) DO UPDATE SET
+                requests = requests + 1,
+                estimated_requests = estimated_requests + excluded.estimated_requests,
+                prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+                completion_tokens = completion_tokens + excluded.completion_tokens,
+                total_tokens = total_tokens + excluded.total_tokens,
+                updated_at = excluded.updated_at
+        `).run(model, chatId || '', usage.estimated ? 1 : 0, usage.prompt_tokens, usage.completion_tokens,
+            usage.total_tokens, new Date().toISOString());
+    }
+
+    // Token totals per model, across everything or for one chat
+    getTokenUsage({ chatId = null } = {}) {
+        const models = this.db.prepare(`
+            SELECT model, SUM(requests) AS requests, SUM(estimated_requests) AS estimatedRequests,
+                SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens,
+                SUM(total_tokens) AS total_tokens
+            FROM token_usage ${chatId ? 'WHERE chat_id = ?' : ''}
+            GROUP BY model ORDER BY total_tokens DESC
+        `).all(...(chatId ? [chatId] : []));
+
+        const totals = { requests: 0, estimatedRequests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        for (const row of models) {
+            for (const field of Object.keys(totals)) totals[field] += row[field];
+        }
+        return { ...totals, models };
+    }
+
+    addAuditEntry({ action, keyId = null, keyName = null, ip = null, detail = null }) {
+        this.db.prepare('INSERT INTO audit_log (at, action, key_id, key_name, ip, detail) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(new Date().toISOString(), action, keyId, keyName, ip, detail);
+    }
+
+    // Newest first
+    getAuditLog(limit = 100) {
+        return this.db.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?').all(limit).map(row => ({
+            id: row.id,
+            at: row.at,
+            action: row.action,
+            keyId: row.key_id,
+            keyName: row.key_name,
+            ip: row.ip,
+            detail: row.detail
+        }));
+    }
+
+    // Folds the write-ahead log back into the database file, so the file on its
+    // own holds everything (before shutdown, or a copy of the file)
+    flush() {
+        if (this.db.open) this.db.pragma('wal_checkpoint(TRUNCATE)');
+    }
+
+    close() {
+        if (this.db.open) this.db.close();
+    }
+}
+
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        scopes: JSON.parse(row.scopes),
+        limits: row.limits ? JSON.parse(row.limits) : null,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+function toPreset(row) {
+    const preset = { id: row.id, name: row.name, system: row.system, createdAt: row.created_at };
+    if (row.updated_at) preset.updatedAt = row.updated_at;
+    return preset;
+}
+
+module.exports = { PersistentStore, MIGRATIONS };
@@ -0,0 +1,125 @@
+// Page-to-Node Stream Bridge
+// Every tab gets a single binding, registered once when the tab opens, and all
+// incremental output from the page travels over it: chat streams today, and
+// anything else that wants to emit partial results. Streams are multiplexed by
+// id as frames of { id, type: 'data' | 'end' | 'error', payload }.
+//
+// Backpressure: each frame is acknowledged once Node's consumer has handled it,
+// and the page stops producing while HIGH_WATER_MARK frames of a stream are
+// still unacknowledged. A slow client therefore slows the upstream read down
+// instead of piling chunks up in either process.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('Bridge');
+
+const BRIDGE_BINDING = '__nodeBridge';
+const HIGH_WATER_MARK = 8;
+
+class StreamBridge {
+    constructor(label) {
+        this.label = label;
+        this.streams = new Map();
+        this.pages = new WeakSet();
+        this.counter = 0;
+        this.stats = { opened: 0, completed: 0, failed: 0, abandoned: 0, frames: 0 };
+    }
+
+    // Registers the binding on a page. Bindings survive navigation, so once per page.
+    async attach(page) {
+        if (!page || this.pages.has(page)) return;
+        await page.exposeFunction(BRIDGE_BINDING, (frame) => this.receive(frame));
+        this.pages.add(page);
+    }
+
+    // Starts a stream. onData(payload) gets every data frame in order and may
+    // return a promise to hold the producer back. finished resolves with the
+    // end frame's payload, or { error } for an error frame. close(result)
+    // gives up on the stream from the Node side; later frames are dropped.
+    open(onData) {
+        const id = `stream_${++this.counter}_${Date.now().toString(36)}`;
+        const stream = { id, onData, open: true, tail: Promise.resolve(true), settle: null };
+        const finished = new Promise(resolve => { stream.settle = resolve; });
+        this.streams.set(id, stream);
+        this.stats.opened++;
+        return {
+            id,
+            finished,
+            close: (result = { error: 'Stream closed before it ended' }) => this.finish(stream, result, 'abandoned')
+        };
+    }
+
+    // Called through the binding for every frame. Resolves once the frame is
+    // handled (the page's acknowledgement) with whether the stream is still open.
+    receive(frame) {
+        const stream = this.streams.get(frame?.id);
+        if (!stream) return false;
+        this.stats.frames++;
+
+        // Frames of one stream are handled one at a time, in the order sent
+        stream.tail = stream.tail.then(async () => {
+            if (!stream.open) return false;
+            if (frame.type === 'data') {
+                await stream.onData(frame.payload);
+                return stream.open;
+            }
+            if (frame.type === 'end') this.finish(stream, frame.payload ?? { success: true }, 'completed');
+            else this.finish(stream, { error: frame.payload ?? 'Stream failed' }, 'failed');
+            return false;
+        }).catch((e) => {
+            log.error(`${this.label} ${stream.id} consumer failed`, { error: e.message });
+            this.finish(stream, { error: e.message }, 'failed');
+            return false;
+        });
+        return stream.tail;
+    }
+
+    finish(stream, result, outcome) {
+        if (!stream.open) return;
+        stream.open = false;
+        this.streams.delete(stream.id);
+        this.stats[outcome]++;
+        stream.settle(result);
+    }
+
+    status() {
+        return { open: this.streams.size, ...this.stats };
+    }
+}
+
+// Runs in the page (through page.evaluate) to install window.__bridge:
+//   write(id, data)   - resolves false once Node has closed the stream
+//   end(id, result)   - last frame of a stream that completed
+//   fail(id, error)   - last frame of a stream that failed
+function installPageBridge(binding, highWaterMark) {
+    if (window.__bridge) return;
+    const streams = {};
+
+    const send = async (id, type, payload) => {
+        const stream = streams[id] || (streams[id] = { inflight: new Set(), closed: false });
+        if (stream.closed) return false;
+
+        const ack = window[binding]({ id, type, payload }).then(
+            (open) => { if (!open) stream.closed = true; },
+            () => { stream.closed = true; }
+        );
+        stream.inflight.add(ack);
+        ack.then(() => stream.inflight.delete(ack));
+
+        if (type !== 'data') {
+            await Promise.all(stream.inflight);
+            delete streams[id];
+            return false;
+        }
+        if (stream.inflight.size >= highWaterMark) await Promise.race(stream.inflight);
+        return !stream.closed;
+    };
+
+    window.__bridge = {
+        write: (id, data) => send(id, 'data', data),
+        end: (id, result) => send(id, 'end', result),
+        fail: (id, error) => send(id, 'error', error)
+    };
+}
+
+module.exports = { StreamBridge, installPageBridge, BRIDGE_BINDING, HIGH_WATER_MARK };
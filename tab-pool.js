@@ -0,0 +1,217 @@
+// Browser Tab Pool
+// A BrowserSession keeps a small pool of tabs in its browser context, so they
+// all share its Puter login. Every request leases a tab for as long as it runs:
+// calls get their own JS context and run side by side without paying for
+// another Chrome. Tabs that crash, hang, or whose JS heap keeps growing are
+// closed and reopened in place.
+
+const { createLogger, currentRequestId } = require('./logger');
+
+const log = createLogger('Tabs');
+
+// Errors that mean the tab itself is broken, not just the call
+const BROKEN_TAB_PATTERN = /target closed|session closed|page crashed|execution context was destroyed|detached frame|timed out/i;
+
+class TabPool {
+    // owner: the session the tabs belong to (tab.session)
+    // openTab(): resolves with a logged-in page, helpers injected
+    // onReplace(oldPage, newPage): called when a recycled tab gets its new page
+    // maxHeapBytes / maxLeases: recycle a tab once its JS heap or use count passes these
+    constructor({ owner, label, size = 2, openTab, onReplace = null, maxHeapBytes = 150 * 1024 * 1024, maxLeases = 200, leaseTimeoutMs = 60000 }) {
+        this.owner = owner;
+        this.label = label;
+        this.size = size;
+        this.openTab = openTab;
+        this.onReplace = onReplace;
+        this.maxHeapBytes = maxHeapBytes;
+        this.maxLeases = maxLeases;
+        this.leaseTimeoutMs = leaseTimeoutMs;
+        this.tabs = [];
+        this.waiters = [];
+        this.counter = 0;
+        this.closed = false;
+    }
+
+    newTab(page, status) {
+        const tab = {
+            id: ++this.counter,
+            session: this.owner,
+            page,
+            status, // opening | idle | busy | recycling | dead
+            leases: 0,
+            recycles: 0,
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            heapBytes: null,
+            lastError: null,
+            signal: null, // AbortSignal of the request holding the lease, if it can be cancelled
+            requestId: null // request holding the lease, for the page's console output
+        };
+        this.tabs.push(tab);
+        return tab;
+    }
+
+    // Registers a page that is already open and logged in (the session's first page)
+    adopt(page) {
+        const tab = this.newTab(page, 'idle');
+        this.watch(tab);
+        this.wake();
+        return tab;
+    }
+
+    // Opens tabs until the pool is full. A tab that fails to open is left dead
+    // and retried the next time a request finds no free tab.
+    async fill() {
+        while (this.tabs.length < this.size && !this.closed) {
+            const tab = this.newTab(null, 'opening');
+            try {
+                tab.page = await this.openTab();
+                if (this.closed) return;
+                tab.status = 'idle';
+                this.watch(tab);
+                log.info(`${this.label} tab #${tab.id} ready (${this.tabs.length}/${this.size})`);
+                this.wake();
+            } catch (e) {
+                tab.status = 'dead';
+                tab.lastError = e.message;
+                log.error(`${this.label} tab #${tab.id} failed to open`, { error: e.message });
+            }
+        }
+    }
+
+    // A crashed or closed page gets replaced even if nobody is using it
+    watch(tab) {
+        const page = tab.page;
+        if (!page || typeof page.on !== 'function') return;
+        page.on('error', (e) => {
+            if (tab.page === page) this.recycle(tab, `crashed: ${e.message}`);
+        });
+        page.on('close', () => {
+            if (tab.page === page) this.recycle(tab, 'closed unexpectedly');
+        });
+    }
+
+    // Resolves with a tab reserved for the caller; hand it back with release()
+    lease() {
+        if (this.closed) return Promise.reject(new Error('Session closed'));
+
+        const requestId = currentRequestId();
+        const idle = this.tabs.find(t => t.status === 'idle');
+        if (idle) return Promise.resolve(this.take(idle, requestId));
+
+        // Nothing free: bring a dead tab back unless one is already on its way
+        const dead = this.tabs.find(t => t.status === 'dead');
+        if (dead && !this.tabs.some(t => t.status === 'opening' || t.status === 'recycling')) {
+            this.recycle(dead, 'revived');
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, requestId };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`No browser tab free after ${this.leaseTimeoutMs / 1000}s`));
+            }, this.leaseTimeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    take(tab, requestId = null) {
+        tab.status = 'busy';
+        tab.leases++;
+        tab.lastUsedAt = Date.now();
+        tab.signal = null;
+        tab.requestId = requestId;
+        return tab;
+    }
+
+    wake() {
+        while (this.waiters.length) {
+            const idle = this.tabs.find(t => t.status === 'idle');
+            if (!idle) return;
+            const waiter = this.waiters.shift();
+            clearTimeout(waiter.timer);
+            waiter.resolve(this.take(idle, waiter.requestId));
+        }
+    }
+
+    // Hands a leased tab back. error: what the call failed with, if it did.
+    async release(tab, error = null) {
+        if (tab.status !== 'busy') return; // already recycled or closed under the caller
+
+        if (error && BROKEN_TAB_PATTERN.test(String(error.message || error))) {
+            return this.recycle(tab, `broken: ${error.message || error}`);
+        }
+        if (tab.leases >= this.maxLeases) {
+            return this.recycle(tab, `served ${tab.leases} requests`);
+        }
+
+        if (tab.page && typeof tab.page.metrics === 'function') {
+            try {
+                tab.heapBytes = (await tab.page.metrics()).JSHeapUsedSize;
+            } catch (e) {
+                return this.recycle(tab, `unresponsive: ${e.message}`);
+            }
+            if (tab.heapBytes > this.maxHeapBytes) {
+                return this.recycle(tab, `JS heap at ${Math.round(tab.heapBytes / 1048576)}MB`);
+            }
+        }
+
+        if (tab.status !== 'busy') return;
+        tab.status = 'idle';
+        tab.requestId = null;
+        this.wake();
+    }
+
+    // Closes the tab's page and opens a fresh one in its place
+    async recycle(tab, reason) {
+        if (this.closed || tab.status === 'opening' || tab.status === 'recycling') return;
+        log.warn(`${this.label} recycling tab #${tab.id}`, { reason });
+
+        tab.status = 'recycling';
+        tab.requestId = null;
+        tab.lastError = reason;
+        tab.recycles++;
+        const oldPage = tab.page;
+        tab.page = null;
+        if (oldPage) await oldPage.close().catch(() => { });
+
+        try {
+            const page = await this.openTab();
+            if (this.closed) return;
+            Object.assign(tab, { page, status: 'idle', leases: 0, heapBytes: null, createdAt: Date.now() });
+            this.watch(tab);
+            if (this.onReplace) this.onReplace(oldPage, page);
+            this.wake();
+        } catch (e) {
+            tab.status = 'dead';
+            tab.lastError = e.message;
+            log.error(`${this.label} tab #${tab.id} could not be reopened`, { error: e.message });
+        }
+    }
+
+    // The browser is going away: stop handing out tabs and fail anyone waiting
+    closeAll() {
+        this.closed = true;
+        for (const waiter of this.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Session closed'));
+        }
+        this.waiters = [];
+        for (const tab of this.tabs) tab.status = 'dead';
+    }
+
+    status() {
+        return this.tabs.map(t => ({
+            id: t.id,
+            status: t.status,
+            leases: t.leases,
+            recycles: t.recycles,
+            createdAt: new Date(t.createdAt).toISOString(),
+            lastUsedAt: t.lastUsedAt ? new Date(t.lastUsedAt).toISOString() : null,
+            heapMB: t.heapBytes === null ? null : Math.round(t.heapBytes / 1048576),
+            lastError: t.lastError
+        }));
+    }
+}
+
+module.exports = { TabPool };